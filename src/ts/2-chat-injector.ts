@@ -1,21 +1,43 @@
-import { Builder, WebDriver } from 'selenium-webdriver'
-import WebSocket from 'ws'
-
-type CdpTarget = { type?: string; title?: string; url: string; webSocketDebuggerUrl: string }
-type CdpCall = (method: string, params?: any) => Promise<any>
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+import { openNewChat } from './1-newchat-opener.js'
+import { AnswerWatcher } from './lib/answer.js'
+import { argValue, argValues, hasFlag } from './lib/args.js'
+import { attachFiles, resolveAttachments } from './lib/attach.js'
+import { CdpConnection } from './lib/cdp.js'
+import { CdpDriver, clickFirst, Driver, DriverName, openDriver, resolveDriverName } from './lib/driver.js'
+import { clearFocused, focusNode, InputOptions, pressKey, resolveInputOptions, typeText } from './lib/input.js'
+import { ariaSelectors, detectProfile, LabelProfile } from './lib/labels.js'
+import { ensureChrome } from './lib/launcher.js'
+import { callOn, clickNode, formatAttempts, LocatedNode, locate, LocatorSpec } from './lib/locator.js'
+import { applyModes, ModeRequest, resolveModeArgs } from './lib/modes.js'
+import { StreamCapture } from './lib/stream.js'
+import { selectTarget, TargetSelector, targetSelectorFromArgs } from './lib/targets.js'
+import { waitForDriverReady } from './lib/wait.js'
 
 const BASE = process.env.CHROME_MCP_URL || 'http://127.0.0.1:9222'
 const TARGET_URL = 'https://chat.deepseek.com'
-const TEXT = '请搜索NemoVideo这家公司的信息'
+const CDP_TIMEOUT_MS = 30000
+
+type InjectArgs = { prompt: string; attach: string[]; newChat: boolean; await: boolean; close: boolean; captureStream: boolean; modes: ModeRequest; lang?: string; input: InputOptions; driver: DriverName; target: TargetSelector }
+
+const INPUT: LocatorSpec = {
+  name: 'chat input',
+  css: ['textarea', '[contenteditable="true"]', '[role="textbox"]', 'input[type="text"]', '.ProseMirror', 'div[aria-label]', 'div[placeholder]', '[data-slate-editor]', '[data-testid*="editor"]', '[data-lexical-editor]'],
+  frames: true
+}
+
+function sendSpec(labels: LabelProfile): LocatorSpec {
+  return {
+    name: 'send button',
+    css: ['button[type="submit"]', ...ariaSelectors(labels, 'send'), '[data-testid*="send"]', '[aria-label*="提交"]', '[aria-label*="Submit"]']
+  }
+}
 
-function injection(text: string): string {
+function fillFunction(text: string): string {
   const s = JSON.stringify(text)
-  return `(() => {
-    const sels = ["textarea","[contenteditable=\\\"true\\\"]","[role=\\\"textbox\\\"]","input[type=\\\"text\\\"]",".ProseMirror","div[aria-label]","div[placeholder]","[data-slate-editor]","[data-testid*=\\\"editor\\\"]","[data-lexical-editor]"]
-    let el = null
-    let used = null
-    for (const q of sels){ const e = document.querySelector(q); if (e) { el = e; used = q; break } }
-    if (!el) return { ok:false, msg:'no input' }
+  return `function () {
+    const el = this
     const tag = (el.tagName||'').toLowerCase()
     el.focus()
     if (tag==='textarea' || (tag==='input' && el.type==='text')) {
@@ -35,121 +57,167 @@ function injection(text: string): string {
     }
     el.dispatchEvent(new KeyboardEvent('keydown',{key:'Enter',code:'Enter',bubbles:true}))
     el.dispatchEvent(new KeyboardEvent('keyup',{key:'Enter',code:'Enter',bubbles:true}))
-    const container = el.closest('form') || el.parentElement || document
-    const btnSels = [
-      'button[type=\\\"submit\\\"]',
-      'button[aria-label*=\\\"发送\\\"]',
-      'button[aria-label*=\\\"Send\\\"]',
-      '[role=\\\"button\\\"][aria-label*=\\\"发送\\\"]',
-      '[role=\\\"button\\\"][aria-label*=\\\"Send\\\"]',
-      '[data-testid*=\\\"send\\\"]',
-      '[aria-label*=\\\"提交\\\"]',
-      '[aria-label*=\\\"Submit\\\"]'
-    ]
-    let btn = null
-    for (const qs of btnSels){ btn = container.querySelector(qs) || document.querySelector(qs); if (btn) break }
-    if (btn) {
-      const evInit = { bubbles:true, cancelable:true }
-      btn.dispatchEvent(new MouseEvent('pointerdown', evInit))
-      btn.dispatchEvent(new MouseEvent('mousedown', evInit))
-      btn.dispatchEvent(new MouseEvent('click', evInit))
-      btn.dispatchEvent(new MouseEvent('mouseup', evInit))
-    } else {
-      const active = document.activeElement || el
-      active.dispatchEvent(new KeyboardEvent('keydown',{key:'Enter',code:'Enter',bubbles:true}))
-      active.dispatchEvent(new KeyboardEvent('keyup',{key:'Enter',code:'Enter',bubbles:true}))
-    }
-    return { ok:true, selector: used, tag: el.tagName, contenteditable: !!el.isContentEditable }
-  })()`
+    return { ok:true, tag: el.tagName, contenteditable: !!el.isContentEditable }
+  }`
+}
+
+const PRESS_ENTER = `function () {
+  const active = document.activeElement || this
+  active.dispatchEvent(new KeyboardEvent('keydown',{key:'Enter',code:'Enter',bubbles:true}))
+  active.dispatchEvent(new KeyboardEvent('keyup',{key:'Enter',code:'Enter',bubbles:true}))
+}`
+
+async function containerOf(conn: CdpConnection, input: LocatedNode): Promise<LocatedNode | undefined> {
+  const r = await callOn(conn, input, 'function(){ return this.closest("form") || this.parentElement || (this.getRootNode() && this.getRootNode().host) }')
+  const objectId = r?.result?.result?.objectId
+  if (!objectId) return undefined
+  const d = await conn.call('DOM.describeNode', { objectId }, input.sessionId ? { sessionId: input.sessionId } : {})
+  const backendNodeId = d?.result?.node?.backendNodeId
+  return backendNodeId ? { backendNodeId, objectId, sessionId: input.sessionId, offset: input.offset } : undefined
+}
+
+async function typeInto(conn: CdpConnection, input: LocatedNode, text: string, options: InputOptions): Promise<any> {
+  const c = await clickNode(conn, input, options)
+  if (!c.ok) await focusNode(conn, input)
+  await clearFocused(conn, options)
+  await typeText(conn, text, options)
+  return { ok: true, typed: text.length, via: options.human ? 'human' : 'trusted' }
 }
 
-async function j(path: string): Promise<any> {
-  const r = await fetch(`${BASE}${path}`)
-  return await r.json()
+async function readStdin(): Promise<string> {
+  const chunks: Buffer[] = []
+  for await (const c of process.stdin) chunks.push(typeof c === 'string' ? Buffer.from(c) : c)
+  return Buffer.concat(chunks).toString('utf8')
 }
 
-async function findDeepseekTarget(): Promise<CdpTarget | undefined> {
-  const list = await j('/json/list')
-  return Array.isArray(list) ? list.find((x: any) => typeof x.url === 'string' && x.url.includes('chat.deepseek.com')) : undefined
+async function resolvePrompt(argv: string[]): Promise<string> {
+  const inline = argValue(argv, 'prompt')
+  const file = argValue(argv, 'prompt-file')
+  let text = ''
+  if (inline !== undefined) text = inline
+  else if (file === '-') text = await readStdin()
+  else if (file) {
+    if (!fs.existsSync(file)) throw new Error(`未找到提示词文件: ${file}`)
+    text = fs.readFileSync(file, 'utf8')
+  } else if (!process.stdin.isTTY) text = await readStdin()
+  text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(/\n+$/, '')
+  if (!text.trim()) throw new Error('未提供提示词: 请使用 --prompt、--prompt-file 或通过标准输入传入')
+  return text
 }
 
-function cdp(ws: WebSocket): CdpCall {
-  let id = 0
-  const map = new Map<number, { resolve: (v: any) => void; reject: (e: any) => void }>()
-  ws.on('message', (m: any) => {
-    try {
-      const d = JSON.parse(m.toString())
-      if (d && typeof d.id === 'number' && map.has(d.id)) {
-        const { resolve } = map.get(d.id) as { resolve: (v: any) => void }
-        map.delete(d.id)
-        resolve(d)
-      }
-    } catch {}
-  })
-  return async (method: string, params?: any): Promise<any> => {
-    id += 1
-    ws.send(JSON.stringify({ id, method, params }))
-    return await new Promise((resolve, reject) => {
-      map.set(id, { resolve, reject })
-      setTimeout(() => {
-        if (map.has(id)) {
-          map.delete(id)
-          reject(new Error('cdp timeout'))
-        }
-      }, 30000)
-    })
+async function parseArgs(argv = process.argv.slice(2)): Promise<InjectArgs> {
+  const attach = argValues(argv, 'attach')
+  resolveAttachments(attach)
+  const captureStream = hasFlag(argv, 'capture-stream') || process.env.CAPTURE_STREAM === '1'
+  return {
+    prompt: await resolvePrompt(argv),
+    attach,
+    newChat: hasFlag(argv, 'new-chat'),
+    await: hasFlag(argv, 'await') || captureStream,
+    close: hasFlag(argv, 'close'),
+    captureStream,
+    modes: resolveModeArgs(argv),
+    lang: argValue(argv, 'lang'),
+    input: resolveInputOptions(argv),
+    driver: resolveDriverName(argv, 'cdp'),
+    target: targetSelectorFromArgs(argv)
   }
 }
 
+async function injectCdp(conn: CdpConnection, text: string, labels: LabelProfile, options: InputOptions, beforeSend?: () => Promise<void>): Promise<any> {
+  const send = sendSpec(labels)
+  const found = await locate(conn, INPUT)
+  if (!found.ok || !found.node) return { ok: false, msg: 'no input', attempts: formatAttempts(found.attempts) }
+  const input = found.node
+  const filled = options.trusted || text.includes('\n')
+    ? await typeInto(conn, input, text, options)
+    : (await callOn(conn, input, fillFunction(text), { returnByValue: true }))?.result?.result?.value
+  const container = await containerOf(conn, input)
+  let btn = container ? await locate(conn, send, { root: container }) : null
+  if (!btn || !btn.ok) btn = await locate(conn, send)
+  let via = 'enter'
+  if (beforeSend) await beforeSend()
+  if (btn.ok && btn.node) {
+    const c = await clickNode(conn, btn.node, options)
+    via = `${btn.strategy}/${c.via}`
+  } else if (options.trusted || text.includes('\n')) {
+    await pressKey(conn, 'Enter', options)
+  } else {
+    await callOn(conn, input, PRESS_ENTER)
+  }
+  return { ...(filled || { ok: true }), lang: labels.lang, input: found.strategy, send: via }
+}
+
+async function inject(driver: Driver, text: string, labels: LabelProfile, beforeSend?: () => Promise<void>): Promise<any> {
+  if (driver instanceof CdpDriver) return await injectCdp(driver.conn, text, labels, driver.input, beforeSend)
+  try {
+    await driver.type(INPUT, text)
+  } catch (e: any) {
+    return { ok: false, msg: 'no input', attempts: e?.message || String(e) }
+  }
+  if (beforeSend) await beforeSend()
+  const c = await clickFirst(driver, [sendSpec(labels)])
+  if (!c.ok) await driver.evaluate(PRESS_ENTER)
+  return { ok: true, typed: text.length, lang: labels.lang, input: driver.name, send: c.ok ? `${driver.name}/click` : 'enter' }
+}
+
 async function main(): Promise<void> {
-  const caps: any = { browserName: 'chrome', 'goog:chromeOptions': { debuggerAddress: '127.0.0.1:9222' } }
-  let driver: WebDriver | undefined
+  const args = await parseArgs()
+  const chrome = await ensureChrome(BASE, { url: TARGET_URL })
+  let driver: Driver | null = null
+  let keepOpen = false
   try {
-    driver = await new Builder().withCapabilities(caps).build()
-  } catch (e) {
-    await runCdpDirect()
-    return
+    const t = await selectTarget(chrome.base, args.target, { openUrl: TARGET_URL })
+    if (!t) throw new Error('未找到DeepSeek标签页')
+    driver = await openDriver(args.driver, chrome.base, t, { timeout: CDP_TIMEOUT_MS, input: args.input, front: true })
+    await injectInto(driver, args)
+    keepOpen = !!chrome.process && !args.await && !args.close
+  } finally {
+    if (driver) await driver.close()
+    if (keepOpen) {
+      chrome.process?.unref()
+      console.log(`Chrome 保持运行以完成回答: ${chrome.base} (pid ${chrome.process?.pid}，使用 --await 等待回答后关闭，或 --close 发送后立即关闭)`)
+    } else {
+      await chrome.close()
+    }
   }
+}
+
+async function injectInto(driver: Driver, args: InjectArgs): Promise<void> {
+  let capture: StreamCapture | null = null
   try {
-    await driver.get(TARGET_URL)
-    let t = await findDeepseekTarget()
-    if (!t) {
-      await driver.get(TARGET_URL)
-      t = await findDeepseekTarget()
+    const ready = await waitForDriverReady(driver, { timeout: CDP_TIMEOUT_MS })
+    if (!ready.selector) throw new Error(`页面未就绪: ${JSON.stringify(ready)}`)
+    let newChat: string | undefined
+    if (args.newChat) {
+      const n = await openNewChat(driver, { lang: args.lang })
+      if (!n.ok) throw new Error(`新建对话失败: ${formatAttempts(n.attempts || [])}`)
+      newChat = n.strategy || n.via
+      await waitForDriverReady(driver, { timeout: CDP_TIMEOUT_MS })
     }
-    if (!t) {
-      await runCdpDirect()
+    const labels = await detectProfile(driver, args.lang)
+    const mode = await applyModes(driver, labels, args.modes)
+    const attached = args.attach.length ? await attachFiles(await driver.cdp(), args.attach, labels) : null
+    const attachments = attached ? attached.files.map(f => f.name) : undefined
+    const watcher = args.await ? new AnswerWatcher(driver, labels) : null
+    capture = args.captureStream ? await StreamCapture.start(await driver.cdp()) : null
+    const r = await inject(driver, args.prompt, labels, watcher ? () => watcher.install() : undefined)
+    if (!watcher) {
+      console.log(JSON.stringify({ ...r, driver: driver.name, newChat, mode, attachments }, null, 2))
       return
     }
-    const ws = new WebSocket(t.webSocketDebuggerUrl)
-    await new Promise(res => ws.once('open', res))
-    const call = cdp(ws)
-    await call('Runtime.enable', {})
-    await call('Page.bringToFront', {})
-    const expr = injection(TEXT)
-    const r = await call('Runtime.evaluate', { expression: expr, awaitPromise: true })
-    console.log(r?.result ?? r)
-    ws.close()
+    const answer = r.ok === false ? null : await watcher.wait()
+    const stream = capture && answer ? await capture.wait() : undefined
+    console.log(JSON.stringify({ ...r, driver: driver.name, newChat, mode, attachments, answer, stream }, null, 2))
   } finally {
+    if (capture) capture.dispose()
   }
 }
 
-async function runCdpDirect(): Promise<void> {
-  let list = await j('/json/list')
-  let t: CdpTarget | undefined = Array.isArray(list) ? list.find((x: any) => typeof x.url === 'string' && x.url.includes('chat.deepseek.com')) : undefined
-  if (!t) {
-    const r = await fetch(`${BASE}/json/new?${encodeURIComponent(TARGET_URL)}`)
-    t = await r.json()
-  }
-  const ws = new WebSocket((t as CdpTarget).webSocketDebuggerUrl)
-  await new Promise(res => ws.once('open', res))
-  const call = cdp(ws)
-  await call('Runtime.enable', {})
-  await call('Page.bringToFront', {})
-  const expr = injection(TEXT)
-  const r = await call('Runtime.evaluate', { expression: expr, awaitPromise: true })
-  console.log(r?.result ?? r)
-  ws.close()
+const argv1 = process.argv[1] || ''
+const isMainModule = argv1 ? (import.meta.url === `file://${argv1}` || import.meta.url === `file:///${argv1.replace(/\\/g, '/')}` || argv1 === fileURLToPath(import.meta.url)) : false
+if (isMainModule) {
+  main().catch(e => { console.error(e); process.exit(1) })
 }
 
-main().catch(e => { console.error(e); process.exit(1) })
\ No newline at end of file
+export { inject, resolvePrompt, sendSpec, INPUT }
\ No newline at end of file
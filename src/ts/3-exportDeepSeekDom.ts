@@ -1,102 +1,55 @@
 import fs from 'fs'
 import path from 'path'
+import { argValue, hasFlag } from './lib/args.js'
+import { captureArchive, resolveArchiveFormat } from './lib/archive.js'
+import { captureDomSnapshot, snapshotToHtml, writeDomSnapshot } from './lib/domsnapshot.js'
+import { Driver, openDriver, resolveDriverName } from './lib/driver.js'
+import { ensureChrome, LaunchedChrome } from './lib/launcher.js'
+import { selectTarget, targetSelectorFromArgs } from './lib/targets.js'
 
-const MCP_SERVER_CONFIG = {
-  command: 'npx',
-  args: ['-y', 'chrome-devtools-mcp@latest', '--browserUrl=http://127.0.0.1:9222'],
-  env: { ...process.env, NODE_ENV: 'production' }
-}
-
-async function startMcp(): Promise<{ client: any; transport: any }> {
-  const mod = (await import('@modelcontextprotocol/sdk/client/index.js')) as any
-  const mod2 = (await import('@modelcontextprotocol/sdk/client/stdio.js')) as any
-  const { Client } = mod
-  const { StdioClientTransport } = mod2
-  const transport = new StdioClientTransport(MCP_SERVER_CONFIG)
-  const client = new Client({ name: 'chrome-mcp-dom-export-client', version: '1.0.0' }, { capabilities: {} })
-  await client.connect(transport)
-  return { client, transport }
-}
-
-async function stopMcp(mcpInstance: { client?: any; transport?: any } | null) {
-  if (mcpInstance?.client) await mcpInstance.client.close()
-  if (mcpInstance?.transport) await mcpInstance.transport.close()
-}
-
-function getTextFromContentParts(parts: any): string {
-  if (!Array.isArray(parts)) return ''
-  const out: string[] = []
-  for (const p of parts) {
-    if (typeof p?.text === 'string') out.push(p.text)
-    else if (typeof p === 'string') out.push(p)
-    else if (p && typeof p === 'object') {
-      if (p.type === 'json' && p.json) out.push(JSON.stringify(p.json))
-      else out.push(JSON.stringify(p))
-    }
-  }
-  return out.join('\n')
-}
-
-function extractHtml(raw: string): string {
-  if (!raw || typeof raw !== 'string') return ''
-  let html = raw
-  const mHtml = raw.match(/```html\r?\n([\s\S]*?)\r?\n```/i)
-  if (mHtml) html = mHtml[1]
-  else {
-    const mJson = raw.match(/```json\r?\n([\s\S]*?)\r?\n```/i)
-    if (mJson) {
-      try {
-        const data = JSON.parse(mJson[1])
-        const candidates = [data, data?.result, data?.html, data?.content]
-        for (const c of candidates) {
-          if (typeof c === 'string' && c.trim().length) { html = c; break }
-          if (c && typeof c === 'object') {
-            if (typeof (c as any).html === 'string' && (c as any).html.trim().length) { html = (c as any).html; break }
-            if (typeof (c as any).value === 'string' && (c as any).value.trim().length) { html = (c as any).value; break }
-          }
-        }
-      } catch {}
-    } else {
-      try {
-        const data2 = JSON.parse(raw)
-        const candidates2 = [data2, data2?.result, data2?.html, data2?.content]
-        for (const c of candidates2) {
-          if (typeof c === 'string' && c.trim().length) { html = c; break }
-          if (c && typeof c === 'object') {
-            if (typeof (c as any).html === 'string' && (c as any).html.trim().length) { html = (c as any).html; break }
-            if (typeof (c as any).value === 'string' && (c as any).value.trim().length) { html = (c as any).value; break }
-          }
-        }
-      } catch {}
-      const i = raw.indexOf('<html')
-      const j = raw.lastIndexOf('</html>')
-      if (i !== -1 && j !== -1 && j > i) html = raw.slice(i, j + 7)
-    }
-  }
-  return html
-}
+const BASE = process.env.CHROME_MCP_URL || 'http://127.0.0.1:9222'
 
 async function exportDeepSeekDom(): Promise<void> {
-  let mcp: { client?: any; transport?: any } | null = null
+  let driver: Driver | null = null
+  let chrome: LaunchedChrome | null = null
   try {
-    mcp = await startMcp()
-    const { client } = mcp
-    let tools: any
-    try { tools = await client.listTools() } catch {}
-    const names = new Set((tools?.tools || []).map((t: any) => t?.name))
-    const result = await client.callTool({ name: 'evaluate_script', arguments: { function: `() => document.documentElement.outerHTML` } })
-    const raw = getTextFromContentParts(result?.content)
-    const html = extractHtml(raw)
+    const argv = process.argv.slice(2)
+    chrome = await ensureChrome(BASE)
+    const t = await selectTarget(chrome.base, targetSelectorFromArgs(argv))
+    if (!t) throw new Error('未找到DeepSeek标签页')
+    driver = await openDriver(resolveDriverName(argv, 'mcp'), chrome.base, t)
+    const archive = argValue(argv, 'archive') || (hasFlag(argv, 'archive') ? 'mhtml' : process.env.ARCHIVE_FORMAT)
+    if (archive) {
+      const result = await captureArchive(await driver.cdp(), resolveArchiveFormat(archive))
+      const outPath = path.join(process.cwd(), 'output', `page-archive.${result.format}`)
+      try { fs.mkdirSync(path.dirname(outPath), { recursive: true }) } catch {}
+      fs.writeFileSync(outPath, result.content, 'utf8')
+      console.log(`archive: ${outPath} (${driver.name}, ${result.format}, ${result.resources} resources${result.missing.length ? `, ${result.missing.length} missing` : ''})`)
+      for (const u of result.missing) console.log(`  missing: ${u}`)
+      return
+    }
+    if (hasFlag(argv, 'snapshot') || process.env.DOM_SNAPSHOT === '1') {
+      const snapshot = await captureDomSnapshot(await driver.cdp())
+      const jsonPath = writeDomSnapshot(path.join(process.cwd(), 'output', 'page-snapshot.json'), snapshot)
+      const htmlPath = path.join(process.cwd(), 'output', 'page-snapshot.html')
+      fs.writeFileSync(htmlPath, snapshotToHtml(snapshot), 'utf8')
+      const s = snapshot.stats
+      console.log(`snapshot: ${jsonPath} (${driver.name}, ${s.documents} documents, ${s.nodes} nodes, ${s.visible} visible, ${s.shadowRoots} shadow roots, ${s.frames} frames)`)
+      console.log(`flattened: ${htmlPath}`)
+      return
+    }
+    const html = await driver.evaluate<string>(`() => document.documentElement.outerHTML`)
     const outPath = path.join(process.cwd(), 'output', 'page-captured.html')
     try { fs.mkdirSync(path.dirname(outPath), { recursive: true }) } catch {}
-    fs.writeFileSync(outPath, html || raw, 'utf8')
-    console.log(`captured: ${outPath}`)
+    fs.writeFileSync(outPath, html || '', 'utf8')
+    console.log(`captured: ${outPath} (${driver.name})`)
   } catch (e: any) {
     console.error(e?.message || String(e))
   } finally {
-    if (mcp) await stopMcp(mcp)
+    if (driver) await driver.close().catch(() => {})
+    if (chrome) await chrome.close()
     process.exit(0)
   }
 }
 
-exportDeepSeekDom()
\ No newline at end of file
+exportDeepSeekDom()
@@ -2,6 +2,16 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import dotenv from 'dotenv'
+import { argValue, hasFlag } from './lib/args.js'
+import { batchKey, BatchJob, runBatches } from './lib/batch.js'
+import { chunkHtml, mergeTurns } from './lib/chunk.js'
+import { captureDialogue, DialogueParse, parseDialogue } from './lib/dialogue.js'
+import { isDomSnapshot, snapshotToHtml } from './lib/domsnapshot.js'
+import { Driver, openDriver, resolveDriverName } from './lib/driver.js'
+import { ensureChrome } from './lib/launcher.js'
+import { formatSanitizeReport, SanitizeReport, sanitizeHtml } from './lib/sanitize.js'
+import { selectTarget, targetSelectorFromArgs } from './lib/targets.js'
+import { CONVERSATION_SCHEMA, ConversationTurn, formatConversation, fromDialogueTurns, repairTurns, toConversation, TURNS_SCHEMA, writeConversation } from './lib/transcript.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -9,6 +19,8 @@ const envPath = path.join(__dirname, '..', '.env')
 const envResult = dotenv.config({ path: envPath })
 if (envResult.error) {}
 
+type JsonMode = 'tools' | 'json' | 'prompt'
+
 const OPENAI_CONFIG: {
   apiKey: string | undefined
   baseURL: string
@@ -17,6 +29,9 @@ const OPENAI_CONFIG: {
   model: string
   maxTokens: number
   htmlMaxChars: number
+  chunkOverlap: number
+  jsonMode: JsonMode
+  jsonRetries: number
 } = {
   apiKey: process.env.SILICONFLOW_API_KEY,
   baseURL: process.env.LLM_BASE_URL || 'https://api.siliconflow.cn/v1',
@@ -24,10 +39,18 @@ const OPENAI_CONFIG: {
   timeout: parseInt(process.env.LLM_TIMEOUT || '30000', 10),
   model: process.env.MODEL_NAME || 'deepseek-ai/DeepSeek-V3.2-Exp',
   maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '2000', 10),
-  htmlMaxChars: parseInt(process.env.HTML_MAX_CHARS || '200000', 10)
+  htmlMaxChars: parseInt(process.env.HTML_MAX_CHARS || '200000', 10),
+  chunkOverlap: parseInt(process.env.CHUNK_OVERLAP_CHARS || '4000', 10),
+  jsonMode: (['tools', 'json', 'prompt'].includes(process.env.LLM_JSON_MODE || '') ? process.env.LLM_JSON_MODE : 'json') as JsonMode,
+  jsonRetries: parseInt(process.env.LLM_JSON_RETRIES || '2', 10)
 }
 
-type ExtractionResult = { content: string; tokenUsage: number | string; model: string; batchCount?: number }
+type ExtractionResult = { content: string; tokenUsage: number | string; model: string; batchCount?: number; turns?: ConversationTurn[] }
+type ParserMode = 'auto' | 'rules' | 'llm'
+
+const BASE = process.env.CHROME_MCP_URL || 'http://127.0.0.1:9222'
+const BATCH_STATE_FILE = path.join(process.cwd(), 'output', 'extracted-dialogue.batches.json')
+const PARSER_MODES: ParserMode[] = ['auto', 'rules', 'llm']
 
 async function createOpenAIClient(): Promise<any> {
   const mod = (await import('openai')) as any
@@ -44,91 +67,197 @@ async function createOpenAIClient(): Promise<any> {
 function readHtmlFile(filePath: string): string {
   const absolutePath = path.resolve(filePath)
   const content = fs.readFileSync(absolutePath, 'utf8')
+  if (/\.json$/i.test(absolutePath)) {
+    const data = JSON.parse(content)
+    if (isDomSnapshot(data)) return snapshotToHtml(data, { visibleOnly: true })
+  }
   return content
 }
 
-async function extractQADialogue(htmlContent: string, client: any): Promise<ExtractionResult> {
-  if (htmlContent.length > OPENAI_CONFIG.htmlMaxChars) {
-    return await extractQADialogueInBatches(htmlContent, client)
-  }
-  const prompt = `请从以下HTML文件中提取问答对话信息，并打印出来。请识别出用户的问题和AI的回答，以清晰的格式展示对话内容。\n\nHTML内容：\n${htmlContent}\n\n请按以下格式输出：\n用户: [用户的问题]\nAI: [AI的回答]\n\n请提取所有完整的问答对话对。`
-  const timeoutPromise = new Promise((_, reject) => { setTimeout(() => reject(new Error(`请求超时 (${OPENAI_CONFIG.timeout}ms)`)), OPENAI_CONFIG.timeout) })
-  const apiRequest = client.chat.completions.create({
-    model: OPENAI_CONFIG.model,
-    messages: [
-      { role: 'system', content: '你是一个专业的HTML内容分析助手，擅长从HTML文件中提取对话信息。请准确识别用户问题和AI回答，并以清晰的格式展示。' },
-      { role: 'user', content: prompt }
-    ],
-    max_tokens: OPENAI_CONFIG.maxTokens,
-    temperature: 0.3
-  })
-  const response = await Promise.race([apiRequest, timeoutPromise]) as any
-  if (!response || !Array.isArray(response.choices) || response.choices.length === 0 || !response.choices[0]?.message?.content) {
-    throw new Error('LLM响应不包含有效的choices或内容')
-  }
-  const result: string = response.choices[0].message.content
-  const tokenUsage: number | string = (response.usage?.total_tokens ?? 'N/A') as number | string
-  return { content: result, tokenUsage, model: OPENAI_CONFIG.model }
+const JSON_INSTRUCTION = '请只输出JSON，格式为 {"turns":[{"order":1,"role":"user","content":"用户的问题"},{"order":2,"role":"assistant","content":"AI的回答"}]}。role 只能是 user / assistant / system，order 从1开始按对话顺序递增，content 保留原文，不要输出其他文字。'
+const SAVE_TOOL = {
+  type: 'function',
+  function: { name: 'save_conversation', description: '保存从HTML中提取的问答对话', parameters: TURNS_SCHEMA }
 }
 
-async function extractQADialogueInBatches(htmlContent: string, client: any): Promise<ExtractionResult> {
-  const batchSize = OPENAI_CONFIG.htmlMaxChars
-  const batches: { content: string; index: number; isLast: boolean }[] = []
-  for (let i = 0; i < htmlContent.length; i += batchSize) {
-    const batch = htmlContent.slice(i, i + batchSize)
-    batches.push({ content: batch, index: i, isLast: i + batchSize >= htmlContent.length })
-  }
-  const results: { batchIndex: number; content: string; tokenUsage: number | string }[] = []
-  let totalTokenUsage = 0
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i]
-    const prompt = `请从以下HTML片段中提取问答对话信息。这是第 ${i + 1}/${batches.length} 个片段。\n\nHTML片段：\n${batch.content}\n\n请按以下格式输出：\n用户: [用户的问题]\nAI: [AI的回答]\n\n只提取此片段中的完整问答对话对。${batch.isLast ? '' : '不需要包含之前片段的内容。'}`
-    const timeoutPromise = new Promise((_, reject) => { setTimeout(() => reject(new Error(`批次 ${i + 1} 请求超时 (${OPENAI_CONFIG.timeout}ms)`)), OPENAI_CONFIG.timeout) })
+type TurnsResponse = { turns: ConversationTurn[]; tokenUsage: number | string; repaired: boolean }
+
+function jsonRequestOptions(mode: JsonMode): Record<string, any> {
+  if (mode === 'tools') return { tools: [SAVE_TOOL], tool_choice: { type: 'function', function: { name: SAVE_TOOL.function.name } } }
+  if (mode === 'json') return { response_format: { type: 'json_object' } }
+  return {}
+}
+
+function isUnsupportedJsonMode(error: any): boolean {
+  return error?.status === 400 && /response_format|json|tool/i.test(String(error?.message || ''))
+}
+
+async function requestTurns(client: any, systemPrompt: string, prompt: string, label: string): Promise<TurnsResponse> {
+  const messages: any[] = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: `${prompt}\n\n${JSON_INSTRUCTION}` }
+  ]
+  let mode = OPENAI_CONFIG.jsonMode
+  let tokenUsage = 0
+  let last: { turns: ConversationTurn[]; errors: string[]; repaired: boolean } = { turns: [], errors: ['无响应'], repaired: false }
+  for (let attempt = 0; attempt <= OPENAI_CONFIG.jsonRetries; attempt++) {
+    let tid: any
+    const timeoutPromise = new Promise((_, reject) => { tid = setTimeout(() => reject(Object.assign(new Error(`${label}请求超时 (${OPENAI_CONFIG.timeout}ms)`), { code: 'ETIMEDOUT' })), OPENAI_CONFIG.timeout) })
+    let response: any
     try {
       const apiRequest = client.chat.completions.create({
         model: OPENAI_CONFIG.model,
-        messages: [
-          { role: 'system', content: '你是一个专业的HTML内容分析助手，擅长从HTML片段中提取对话信息。请准确识别用户问题和AI回答，并以清晰的格式展示。' },
-          { role: 'user', content: prompt }
-        ],
+        messages,
         max_tokens: OPENAI_CONFIG.maxTokens,
-        temperature: 0.3
+        temperature: 0.3,
+        ...jsonRequestOptions(mode)
       })
-      const response = await Promise.race([apiRequest, timeoutPromise]) as any
-      if (!response || !Array.isArray(response.choices) || response.choices.length === 0 || !response.choices[0]?.message?.content) {
-        throw new Error(`批次 ${i + 1} LLM响应不包含有效的choices或内容`)
-      }
-      const result: string = response.choices[0].message.content
-      const tokenUsage: number | string = (response.usage?.total_tokens ?? 'N/A') as number | string
-      if (typeof tokenUsage === 'number') totalTokenUsage += tokenUsage
-      results.push({ batchIndex: i + 1, content: result, tokenUsage })
-      if (i < batches.length - 1) { await new Promise(res => setTimeout(res, 1000)) }
+      response = await Promise.race([apiRequest, timeoutPromise]) as any
     } catch (error: any) {
-      results.push({ batchIndex: i + 1, content: `错误: 批次 ${i + 1} 处理失败 - ${error?.message || String(error)}`, tokenUsage: 0 })
+      if (mode === 'prompt' || !isUnsupportedJsonMode(error)) throw error
+      console.warn(`${label}模型不支持 ${mode} 模式，改用提示词约束JSON: ${error?.message || String(error)}`)
+      mode = 'prompt'
+      attempt--
+      continue
+    } finally {
+      clearTimeout(tid)
     }
+    const message = response?.choices?.[0]?.message
+    const raw: string = message?.tool_calls?.[0]?.function?.arguments || message?.content || ''
+    if (!raw) throw new Error(`${label}LLM响应不包含有效的choices或内容`)
+    if (typeof response.usage?.total_tokens === 'number') tokenUsage += response.usage.total_tokens
+    last = repairTurns(raw)
+    if (!last.errors.length) return { turns: last.turns, tokenUsage, repaired: last.repaired }
+    console.warn(`${label}JSON输出不符合schema (第 ${attempt + 1} 次): ${last.errors.slice(0, 3).join('; ')}`)
+    messages.push(
+      { role: 'assistant', content: raw },
+      { role: 'user', content: `上面的输出不符合要求: ${last.errors.slice(0, 5).join('; ')}。${JSON_INSTRUCTION}` }
+    )
   }
-  const mergedContent = results.map(r => r.content).join('\n\n')
-  return { content: mergedContent, tokenUsage: totalTokenUsage, model: OPENAI_CONFIG.model, batchCount: batches.length }
+  throw new Error(`${label}JSON输出校验失败: ${last.errors.slice(0, 5).join('; ')}`)
 }
 
-function saveExtractedDialogue(extractionResult: ExtractionResult, htmlFilePath: string, htmlContent: string): string {
+async function extractQADialogue(htmlContent: string, client: any): Promise<ExtractionResult> {
+  if (htmlContent.length > OPENAI_CONFIG.htmlMaxChars) {
+    return await extractQADialogueInBatches(htmlContent, client)
+  }
+  const prompt = `请从以下HTML文件中提取问答对话信息。请识别出用户的问题和AI的回答，按对话顺序输出。\n\nHTML内容：\n${htmlContent}\n\n请提取所有完整的问答对话对。`
+  const r = await requestTurns(client, '你是一个专业的HTML内容分析助手，擅长从HTML文件中提取对话信息。请准确识别用户问题和AI回答，并按要求输出JSON。', prompt, '')
+  return { content: formatConversation(r.turns), tokenUsage: r.tokenUsage, model: OPENAI_CONFIG.model, turns: r.turns }
+}
+
+async function extractQADialogueInBatches(htmlContent: string, client: any): Promise<ExtractionResult> {
+  const batches = chunkHtml(htmlContent, { maxChars: OPENAI_CONFIG.htmlMaxChars, overlap: OPENAI_CONFIG.chunkOverlap })
+  const systemPrompt = '你是一个专业的HTML内容分析助手，擅长从HTML片段中提取对话信息。请准确识别用户问题和AI回答，并按要求输出JSON。'
+  const batchClient = client.withOptions({ maxRetries: 0 })
+  const jobs: BatchJob<TurnsResponse>[] = batches.map((batch, i) => {
+    const edges = batch.overlapUnits ? '片段开头与上一个片段有重叠，重复的消息照常输出即可。' : ''
+    const prompt = `请从以下HTML片段中提取问答对话信息。这是第 ${i + 1}/${batches.length} 个片段，片段按元素边界切分。${edges}\n\nHTML片段：\n${batch.html}\n\n提取此片段中的所有问答对话，位于片段开头或结尾、内容不完整的消息也照原样输出。`
+    const label = `批次 ${i + 1} `
+    return { key: batchKey(OPENAI_CONFIG.model, OPENAI_CONFIG.jsonMode, systemPrompt, prompt), label, run: () => requestTurns(batchClient, systemPrompt, prompt, label) }
+  })
+  const outcomes = await runBatches(jobs, { statePath: BATCH_STATE_FILE })
+  let totalTokenUsage = 0
+  for (const o of outcomes) if (!o.cached && typeof o.value?.tokenUsage === 'number') totalTokenUsage += o.value.tokenUsage
+  const turns = mergeTurns(outcomes.map(o => o.value?.turns || []))
+  const errors = outcomes.filter(o => !o.ok).map(o => `错误: 批次 ${o.index + 1} 处理失败 (${o.attempts} 次尝试) - ${o.error}`)
+  if (errors.length) console.warn(`${errors.length}/${batches.length} 个批次失败，已完成的批次保存在 ${BATCH_STATE_FILE}，重新运行将只重试失败的批次`)
+  const mergedContent = [formatConversation(turns), ...errors].filter(Boolean).join('\n\n')
+  return { content: mergedContent, tokenUsage: totalTokenUsage, model: OPENAI_CONFIG.model, batchCount: batches.length, turns }
+}
+
+function saveSanitizedHtml(html: string, report: SanitizeReport): string {
+  const filePath = path.join(process.cwd(), 'output', 'page-sanitized.html')
+  try { fs.mkdirSync(path.dirname(filePath), { recursive: true }) } catch {}
+  fs.writeFileSync(filePath, `<!-- ${formatSanitizeReport(report)} -->\n${html}\n`, 'utf8')
+  return filePath
+}
+
+function saveExtractedDialogue(extractionResult: ExtractionResult, htmlFilePath: string, htmlContent: string, sanitize?: SanitizeReport): string {
   const resultFilePath = path.join(process.cwd(), 'output', 'extracted-dialogue.txt')
   const batchInfo = extractionResult.batchCount ? `\n批次数: ${extractionResult.batchCount}` : ''
-  const resultContent = `LLM Q&A Dialogue Extraction Results\nGenerated at: ${new Date().toISOString()}\nModel: ${extractionResult.model}\nHTML File: ${htmlFilePath}\nHTML Size: ${htmlContent.length} characters\nToken Usage: ${extractionResult.tokenUsage}${batchInfo}\n\n${extractionResult.content}`
+  const sanitizeInfo = sanitize ? `\nSanitized: ${formatSanitizeReport(sanitize)}` : ''
+  const resultContent = `LLM Q&A Dialogue Extraction Results\nGenerated at: ${new Date().toISOString()}\nModel: ${extractionResult.model}\nHTML File: ${htmlFilePath}\nHTML Size: ${htmlContent.length} characters${sanitizeInfo}\nToken Usage: ${extractionResult.tokenUsage}${batchInfo}\n\n${extractionResult.content}`
   try { fs.mkdirSync(path.dirname(resultFilePath), { recursive: true }) } catch {}
   fs.writeFileSync(resultFilePath, resultContent, 'utf8')
   return resultFilePath
 }
 
+function saveConversationJson(extractionResult: ExtractionResult, source: string): string | null {
+  if (!extractionResult.turns?.length) return null
+  const conversation = toConversation(extractionResult.turns, { source, model: extractionResult.model })
+  return writeConversation(path.join(process.cwd(), 'output', 'extracted-dialogue.json'), conversation)
+}
+
+function rulesResult(parsed: DialogueParse): ExtractionResult {
+  const turns = fromDialogueTurns(parsed.turns)
+  return { content: formatConversation(turns), tokenUsage: 0, model: 'rules (deepseek-dom)', turns }
+}
+
+async function captureLiveDialogue(argv: string[]): Promise<DialogueParse & { html: string; url: string }> {
+  const chrome = await ensureChrome(BASE)
+  let driver: Driver | null = null
+  try {
+    const t = await selectTarget(chrome.base, targetSelectorFromArgs(argv))
+    if (!t) throw new Error('未找到DeepSeek标签页')
+    driver = await openDriver(resolveDriverName(argv, 'mcp'), chrome.base, t)
+    return { ...await captureDialogue(driver), url: t.url }
+  } finally {
+    if (driver) await driver.close().catch(() => {})
+    await chrome.close()
+  }
+}
+
 async function main(): Promise<void> {
-  if (!OPENAI_CONFIG.apiKey) { throw new Error('未找到API密钥，请检查.env文件中的SILICONFLOW_API_KEY配置') }
+  const argv = process.argv.slice(2)
+  if (hasFlag(argv, 'print-schema')) { console.log(JSON.stringify(CONVERSATION_SCHEMA, null, 2)); return }
+  const sanitizeOnly = hasFlag(argv, 'sanitize-only')
+  const raw = hasFlag(argv, 'raw') || process.env.SANITIZE_HTML === '0'
+  const parser = (argValue(argv, 'parser', process.env.DIALOGUE_PARSER || 'auto') as string).toLowerCase() as ParserMode
+  if (!PARSER_MODES.includes(parser)) { throw new Error(`--parser 仅支持 ${PARSER_MODES.join(' / ')}: ${parser}`) }
+  if (sanitizeOnly && raw) { throw new Error('--sanitize-only 不能与 --raw 同时使用') }
+  if (parser === 'llm' && !sanitizeOnly && !OPENAI_CONFIG.apiKey) { throw new Error('未找到API密钥，请检查.env文件中的SILICONFLOW_API_KEY配置') }
+  let htmlFilePath: string
+  let htmlContent: string
+  let parsed: DialogueParse | null = null
+  if (hasFlag(argv, 'live')) {
+    const live = await captureLiveDialogue(argv)
+    htmlFilePath = live.url
+    htmlContent = live.html
+    parsed = live
+  } else {
+    htmlFilePath = path.resolve(argValue(argv, 'input', process.env.DIALOGUE_INPUT || path.join(process.cwd(), 'output', 'page-captured.html')) as string)
+    if (!fs.existsSync(htmlFilePath)) { throw new Error(`未找到HTML文件: ${htmlFilePath}`) }
+    htmlContent = readHtmlFile(htmlFilePath)
+  }
+  if (parser !== 'llm' && !sanitizeOnly) {
+    parsed = parsed || parseDialogue(htmlContent)
+    if (parsed.ok) {
+      const result = rulesResult(parsed)
+      console.log(`规则解析: ${parsed.turns.length} 轮对话`)
+      console.log(`Results saved to: ${saveExtractedDialogue(result, htmlFilePath, htmlContent)}`)
+      console.log(`JSON saved to: ${saveConversationJson(result, htmlFilePath)}`)
+      return
+    }
+    if (parser === 'rules') { throw new Error(`规则解析失败: ${parsed.reason}`) }
+    console.log(`规则解析失败 (${parsed.reason})，回退到LLM提取`)
+    if (!OPENAI_CONFIG.apiKey) { throw new Error('未找到API密钥，请检查.env文件中的SILICONFLOW_API_KEY配置') }
+  }
+  let report: SanitizeReport | undefined
+  if (!raw) {
+    const sanitized = sanitizeHtml(htmlContent)
+    htmlContent = sanitized.html
+    report = sanitized.report
+    console.log(`清洗HTML: ${formatSanitizeReport(report)}`)
+    if (sanitizeOnly || hasFlag(argv, 'save-sanitized')) console.log(`Sanitized HTML saved to: ${saveSanitizedHtml(htmlContent, report)}`)
+    if (sanitizeOnly) return
+  }
   const client = await createOpenAIClient()
-  const htmlFilePath = path.join(process.cwd(), 'output', 'page-captured.html')
-  if (!fs.existsSync(htmlFilePath)) { throw new Error(`未找到HTML文件: ${htmlFilePath}`) }
-  const htmlContent = readHtmlFile(htmlFilePath)
   const extracted = await extractQADialogue(htmlContent, client)
-  const savedFilePath = saveExtractedDialogue(extracted, htmlFilePath, htmlContent)
+  const savedFilePath = saveExtractedDialogue(extracted, htmlFilePath, htmlContent, report)
   console.log(`Results saved to: ${savedFilePath}`)
+  const jsonFilePath = saveConversationJson(extracted, htmlFilePath)
+  if (jsonFilePath) console.log(`JSON saved to: ${jsonFilePath}`)
 }
 
 const argv1 = process.argv[1] || ''
@@ -137,4 +266,4 @@ if (isMainModule) {
   main().catch((error: any) => { console.error('程序执行失败:', error); process.exit(1) })
 }
 
-export { createOpenAIClient, readHtmlFile, extractQADialogue, saveExtractedDialogue }
\ No newline at end of file
+export { OPENAI_CONFIG, createOpenAIClient, isUnsupportedJsonMode, readHtmlFile, extractQADialogue, saveSanitizedHtml, saveExtractedDialogue, saveConversationJson, captureLiveDialogue }
\ No newline at end of file
@@ -2,6 +2,7 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import dotenv from 'dotenv'
+import { batchKey, BatchJob, runBatches } from './lib/batch.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -27,6 +28,8 @@ const OPENAI_CONFIG: {
   jsonMaxChars: parseInt(process.env.JSON_MAX_CHARS || '200000', 10)
 }
 
+const BATCH_STATE_FILE = path.join(process.cwd(), 'output', 'extracted-dialogue-history.batches.json')
+
 type ExtractionResult = { content: string; tokenUsage: number | string; model: string; batchCount?: number }
 
 async function createOpenAIClient(): Promise<any> {
@@ -81,38 +84,42 @@ async function extractDialogueHistoryInBatches(jsonData: any, client: any): Prom
     const batch = links.slice(i, i + batchSize)
     batches.push({ links: batch, index: i, isLast: i + batchSize >= links.length })
   }
-  const results: { batchIndex: number; content: string; tokenUsage: number | string }[] = []
-  let totalTokenUsage = 0
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i]
+  const systemPrompt = '你是一个专业的JSON数据分析师，擅长从JSON数据中提取deepseek页面对话历史信息。请准确识别对话标题和对应的URL，并以清晰的格式展示。'
+  const batchClient = client.withOptions({ maxRetries: 0 })
+  const jobs: BatchJob<{ content: string; tokenUsage: number | string }>[] = batches.map((batch, i) => {
     const batchJson = { totalLinks: batch.links.length, links: batch.links }
     const batchString = JSON.stringify(batchJson, null, 2)
     const prompt = `从中提取deepseek页面左边栏对话控制区中的问答对话历史的标题，和标题对应的deepseek url。这是第 ${i + 1}/${batches.length} 个片段。\n\nJSON数据片段：\n${batchString}\n\n请按以下格式输出：\n标题: [对话标题]\nURL: [对应的deepseek URL]\n\n只提取此片段中属于deepseek页面左边栏对话控制区的对话历史，忽略其他不相关的链接。${batch.isLast ? '' : '不需要包含之前片段的内容。'}`
-    const timeoutPromise = new Promise((_, reject) => { setTimeout(() => reject(new Error(`批次 ${i + 1} 请求超时 (${OPENAI_CONFIG.timeout}ms)`)), OPENAI_CONFIG.timeout) })
-    try {
-      const apiRequest = client.chat.completions.create({
-        model: OPENAI_CONFIG.model,
-        messages: [
-          { role: 'system', content: '你是一个专业的JSON数据分析师，擅长从JSON数据中提取deepseek页面对话历史信息。请准确识别对话标题和对应的URL，并以清晰的格式展示。' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: OPENAI_CONFIG.maxTokens,
-        temperature: 0.3
-      })
-      const response = await Promise.race([apiRequest, timeoutPromise]) as any
-      if (!response || !Array.isArray(response.choices) || response.choices.length === 0 || !response.choices[0]?.message?.content) {
-        throw new Error(`批次 ${i + 1} LLM响应不包含有效的choices或内容`)
+    const run = async () => {
+      let tid: any
+      const timeoutPromise = new Promise((_, reject) => { tid = setTimeout(() => reject(Object.assign(new Error(`批次 ${i + 1} 请求超时 (${OPENAI_CONFIG.timeout}ms)`), { code: 'ETIMEDOUT' })), OPENAI_CONFIG.timeout) })
+      try {
+        const apiRequest = batchClient.chat.completions.create({
+          model: OPENAI_CONFIG.model,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: prompt }
+          ],
+          max_tokens: OPENAI_CONFIG.maxTokens,
+          temperature: 0.3
+        })
+        const response = await Promise.race([apiRequest, timeoutPromise]) as any
+        if (!response || !Array.isArray(response.choices) || response.choices.length === 0 || !response.choices[0]?.message?.content) {
+          throw new Error(`批次 ${i + 1} LLM响应不包含有效的choices或内容`)
+        }
+        return { content: response.choices[0].message.content as string, tokenUsage: (response.usage?.total_tokens ?? 'N/A') as number | string }
+      } finally {
+        clearTimeout(tid)
       }
-      const result: string = response.choices[0].message.content
-      const tokenUsage: number | string = (response.usage?.total_tokens ?? 'N/A') as number | string
-      if (typeof tokenUsage === 'number') totalTokenUsage += tokenUsage
-      results.push({ batchIndex: i + 1, content: result, tokenUsage })
-      if (i < batches.length - 1) { await new Promise(res => setTimeout(res, 1000)) }
-    } catch (error: any) {
-      results.push({ batchIndex: i + 1, content: `错误: 批次 ${i + 1} 处理失败 - ${error?.message || String(error)}`, tokenUsage: 0 })
     }
-  }
-  const mergedContent = results.map(r => r.content).join('\n\n')
+    return { key: batchKey(OPENAI_CONFIG.model, systemPrompt, prompt), label: `批次 ${i + 1} `, run }
+  })
+  const outcomes = await runBatches(jobs, { statePath: BATCH_STATE_FILE })
+  let totalTokenUsage = 0
+  for (const o of outcomes) if (!o.cached && typeof o.value?.tokenUsage === 'number') totalTokenUsage += o.value.tokenUsage
+  const failed = outcomes.filter(o => !o.ok).length
+  if (failed) console.warn(`${failed}/${batches.length} 个批次失败，已完成的批次保存在 ${BATCH_STATE_FILE}，重新运行将只重试失败的批次`)
+  const mergedContent = outcomes.map(o => (o.ok ? o.value?.content : `错误: 批次 ${o.index + 1} 处理失败 (${o.attempts} 次尝试) - ${o.error}`)).join('\n\n')
   return { content: mergedContent, tokenUsage: totalTokenUsage, model: OPENAI_CONFIG.model, batchCount: batches.length }
 }
 
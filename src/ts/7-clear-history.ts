@@ -1,23 +1,30 @@
 import fs from 'fs'
 import path from 'path'
-import WebSocket from 'ws'
+import { CdpConnection, CdpConnectionError } from './lib/cdp.js'
+import { ConnectMode, resolveConnectMode } from './lib/browser.js'
+import { argValue } from './lib/args.js'
+import { CdpDriver, clickFirst, Driver, DriverName, openDriver, resolveDriverName } from './lib/driver.js'
+import { ariaSelectors, detectProfile, LabelProfile, labelPattern, labelsFor } from './lib/labels.js'
+import { InputOptions, moveMouse, resolveInputOptions } from './lib/input.js'
+import { ensureChrome, LaunchedChrome } from './lib/launcher.js'
+import { callOn, clickLocator, clickNode, formatAttempts, LocatedNode, locateAll, LocatorSpec, nodeBox, pickNode, waitForLocator } from './lib/locator.js'
+import { selectTarget, TargetSelector, targetSelectorFromArgs } from './lib/targets.js'
+import { waitForDriverReady } from './lib/wait.js'
 
-type Args = { base: string; url: string; timeout: number }
+type Args = { base: string; url: string; timeout: number; maxItems: number; mode: ConnectMode; driver: DriverName; lang?: string; input: InputOptions; target: TargetSelector }
 
 function parseArgs(): Args {
   const argv = process.argv.slice(2)
-  const get = (name: string, def?: string) => {
-    for (let i = 0; i < argv.length; i++) {
-      const a = argv[i]
-      if (a.startsWith(`--${name}=`)) return a.split('=')[1]
-      if (a === `--${name}` && argv[i + 1]) return argv[i + 1]
-    }
-    return def
-  }
-  const base = get('base', 'http://127.0.0.1:9222') as string
-  const url = get('url', 'https://chat.deepseek.com/') as string
-  const timeout = parseInt(get('timeout', '20000') as string)
-  return { base, url, timeout }
+  const base = argValue(argv, 'base', 'http://127.0.0.1:9222') as string
+  const url = argValue(argv, 'url', 'https://chat.deepseek.com/') as string
+  const timeout = parseInt(argValue(argv, 'timeout', '20000') as string)
+  const maxItems = parseInt(argValue(argv, 'max-items', '500') as string)
+  const mode = resolveConnectMode(argValue(argv, 'mode'))
+  const driver = resolveDriverName(argv, 'cdp')
+  const lang = argValue(argv, 'lang')
+  const input = resolveInputOptions(argv)
+  const target = targetSelectorFromArgs(argv)
+  return { base, url, timeout, maxItems, mode, driver, lang, input, target }
 }
 
 function now(): string {
@@ -39,144 +46,214 @@ class Logger {
   }
 }
 
-async function j(base: string, p: string) {
-  const r = await fetch(`${base}${p}`)
-  const t = await r.text()
-  try { return JSON.parse(t) } catch { throw new Error(`invalid json from ${base}${p}`) }
+async function captureScreenshot(driver: Driver, outPath: string) {
+  try { fs.mkdirSync(path.dirname(outPath), { recursive: true }) } catch {}
+  const png = await driver.screenshot()
+  if (png.length) fs.writeFileSync(outPath, png)
+}
+
+const CHAT_ITEMS: LocatorSpec = {
+  name: 'chat items',
+  css: ['aside a[href*="/chat/"], a[href*="/chat/"]', 'aside [role="listitem"], aside .chat-item, aside .conversation-item']
 }
 
-function cdp(ws: WebSocket, timeoutMs: number) {
-  let id = 0
-  const map = new Map<number, { resolve: (v: any) => void; reject: (e: any) => void; tid?: any }>()
-  ws.on('message', m => {
-    try {
-      const d = JSON.parse(m.toString())
-      if (d && typeof d.id === 'number' && map.has(d.id)) {
-        const { resolve, tid } = map.get(d.id)!
-        if (tid) clearTimeout(tid)
-        map.delete(d.id)
-        resolve(d)
-      }
-    } catch {}
-  })
-  ws.on('error', err => {
-    for (const [key, v] of map.entries()) {
-      if (v.tid) clearTimeout(v.tid)
-      v.reject(new Error('ws error'))
-      map.delete(key)
+type UiSpecs = { sidebar: LocatorSpec; more: LocatorSpec; del: LocatorSpec[]; confirm: LocatorSpec[] }
+type History<T> = { items: () => Promise<T[]>; remove: (item: T, total: number) => Promise<{ ok: boolean; reason?: string }>; closed: () => boolean }
+
+function uiSpecs(labels: LabelProfile): UiSpecs {
+  return {
+    sidebar: { name: 'sidebar toggle', css: [...ariaSelectors(labels, 'sidebarToggle', ['button']), '[data-testid*="sidebar"][role="button"]'] },
+    more: { name: 'more menu', css: [ariaSelectors(labels, 'moreMenu').join(', '), 'button:has(svg), [role="button"]:has(svg)'] },
+    del: [
+      { name: 'delete (menu)', text: labelPattern(labels, 'delete'), within: 'div[role="menu"]', clickable: true },
+      ...labelsFor(labels, 'delete').map(name => ({ name: `delete (menuitem "${name}")`, role: 'menuitem', accessibleName: name, order: ['axTree'] } as LocatorSpec)),
+      { name: 'delete', text: labelPattern(labels, 'delete', true), clickable: true }
+    ],
+    confirm: [
+      { name: 'confirm (dialog)', css: 'button,[role="button"]', text: labelPattern(labels, 'confirm'), within: 'div[role="dialog"]' },
+      { name: 'confirm', css: 'button,[role="button"]', text: labelPattern(labels, 'confirm', true) }
+    ]
+  }
+}
+
+async function hover(conn: CdpConnection, node: LocatedNode, input: InputOptions): Promise<void> {
+  try { await callOn(conn, node, 'function(){ this.scrollIntoView({block:"center",inline:"center"}) }') } catch {}
+  const box = await nodeBox(conn, node)
+  if (box) await moveMouse(conn, box.x, box.y, input)
+}
+
+async function countChats(conn: CdpConnection): Promise<number> {
+  const r = await locateAll(conn, CHAT_ITEMS)
+  return r.ok ? r.nodes.length : 0
+}
+
+const COUNT_CHATS_FN = `(css) => css.reduce((n, sel) => n || document.querySelectorAll(sel).length, 0)`
+
+const OPEN_ITEM_MENU_FN = `(itemCss, moreCss, index) => {
+  const items = itemCss.map(sel => Array.from(document.querySelectorAll(sel))).find(list => list.length) || []
+  const item = items[index]
+  if (!item) return false
+  item.scrollIntoView({ block: 'center' })
+  for (const type of ['pointerover', 'pointerenter', 'mouseover', 'mouseenter']) item.dispatchEvent(new MouseEvent(type, { bubbles: true }))
+  for (const sel of moreCss) {
+    const btn = item.querySelector(sel)
+    if (btn) { btn.click(); return true }
+  }
+  return false
+}`
+
+const CLICK_LABEL_FN = `(within, css, source, flags) => {
+  const re = new RegExp(source, flags)
+  const visible = el => { const r = el.getBoundingClientRect(); return r.width > 0 && r.height > 0 }
+  let hit = null
+  for (const scope of within ? document.querySelectorAll(within) : [document.body]) {
+    for (const el of scope.querySelectorAll(css)) {
+      if (visible(el) && re.test((el.innerText || '').trim()) && (!hit || hit.contains(el))) hit = el
     }
-  })
-  ws.on('close', () => {
-    for (const [key, v] of map.entries()) {
-      if (v.tid) clearTimeout(v.tid)
-      v.reject(new Error('ws closed'))
-      map.delete(key)
+  }
+  if (!hit) return false
+  hit.click()
+  return true
+}`
+
+async function countChatsVia(driver: Driver): Promise<number> {
+  return await driver.evaluate<number>(COUNT_CHATS_FN, CHAT_ITEMS.css) || 0
+}
+
+async function clickLabelVia(driver: Driver, targets: [string, string, RegExp][], timeout: number): Promise<boolean> {
+  const deadline = Date.now() + timeout
+  for (;;) {
+    for (const [within, css, re] of targets) {
+      if (await driver.evaluate<boolean>(CLICK_LABEL_FN, within, css, re.source, re.flags)) return true
     }
-  })
-  return async (method: string, params: any, to?: number): Promise<any> => {
-    id += 1
-    ws.send(JSON.stringify({ id, method, params }))
-    return await new Promise((resolve, reject) => {
-      const tid = setTimeout(() => {
-        if (map.has(id)) {
-          map.delete(id)
-          reject(new Error(`cdp timeout for ${method}`))
-        }
-      }, typeof to === 'number' ? to : timeoutMs)
-      map.set(id, { resolve, reject, tid })
-    })
+    if (Date.now() >= deadline) return false
+    await new Promise(res => setTimeout(res, 100))
   }
 }
 
-async function ensureTarget(base: string) {
-  const list = await j(base, '/json/list')
-  const t = Array.isArray(list) ? list.find((x: any) => x && x.type === 'page' && typeof x.url === 'string' && x.url.includes('chat.deepseek.com')) : null
-  return t || null
+async function openSidebar(driver: Driver, ui: UiSpecs): Promise<string> {
+  if (driver instanceof CdpDriver) {
+    const items = await locateAll(driver.conn, CHAT_ITEMS)
+    if (items.ok && await pickNode(driver.conn, items.nodes)) return '已展开'
+  } else if (await countChatsVia(driver)) {
+    return '已展开'
+  }
+  const r = await clickFirst(driver, [ui.sidebar])
+  return r.ok ? '已尝试打开' : '跳过'
 }
 
-async function captureScreenshot(call: (m: string, p: any, to?: number) => Promise<any>, outPath: string) {
-  try { fs.mkdirSync(path.dirname(outPath), { recursive: true }) } catch {}
-  const r = await call('Page.captureScreenshot', { format: 'png' })
-  const b64 = r?.result?.data || r?.data
-  if (typeof b64 === 'string' && b64.length) fs.writeFileSync(outPath, b64, 'base64')
-}
-
-function openSidebarScript(): string {
-  return `(() => { try {
-    const cands = [
-      'button[aria-label*="Menu"]',
-      'button[aria-label*="菜单"]',
-      'button[aria-label*="侧边栏"]',
-      '[data-testid*="sidebar"][role="button"]'
-    ]
-    for (const sel of cands) { const b = document.querySelector(sel); if (b) { try { b.click() } catch {} break } }
-    return { ok:true }
-  } catch { return { ok:false } } })()`
-}
-
-function deleteChatsScript(): string {
-  return `(() => { const wait = ms => new Promise(r=>setTimeout(r,ms));
-    function isChatItem(el){ const href = (el.getAttribute && el.getAttribute('href'))||''; if (href && href.includes('/chat/')) return true; const t = (el.textContent||'')+(el.innerText||''); if (/Chat|对话|会话/i.test(t)) return true; const a = el.closest && el.closest('a[href*="/chat/"]'); return !!a }
-    function findItems(){ const list = Array.from(document.querySelectorAll('aside a[href*="/chat/"], a[href*="/chat/"], aside [role="listitem"], aside .chat-item, aside .conversation-item')); return list.filter(isChatItem) }
-    async function clickDelete(item){ try { item.scrollIntoView({block:'center',inline:'center'}) } catch {}
-      let menuBtn = item.querySelector('button[aria-label*="更多"], button[aria-label*="More"], [role="button"][aria-label*="更多"], [role="button"][aria-label*="More"]')
-        || item.querySelector('button[aria-label*="菜单"], [role="button"][aria-label*="菜单"]')
-        || item.querySelector('button:has(svg), [role="button"]:has(svg)')
-      if (!menuBtn) return false; try { menuBtn.click() } catch {} await wait(120)
-      const cont = document.querySelector('div[role="menu"]') || document
-      let del = Array.from(cont.querySelectorAll('*')).find(x => /删除/i.test(x.textContent||'')) || Array.from(cont.querySelectorAll('*')).find(x => /Delete/i.test(x.textContent||''))
-      if (!del) return false; try { del.click() } catch {} await wait(160)
-      const dlg = document.querySelector('div[role="dialog"]') || document
-      let conf = Array.from(dlg.querySelectorAll('button,[role="button"]')).find(x => /删除|确认|Delete|OK/i.test(x.textContent||''))
-      if (conf) { try { conf.click() } catch {} }
-      await wait(260)
-      return true }
-    async function run(){ const items = findItems(); let count = 0; for (const it of items) { const ok = await clickDelete(it); if (ok) count++; await wait(120) } const remain = findItems(); return { ok:true, deleted: count, remaining: remain.length } }
-    return run(); })()`
-}
-
-function verifyEmptyScript(): string {
-  return `(() => { const list = Array.from(document.querySelectorAll('aside a[href*="/chat/"], a[href*="/chat/"]')); return { ok: list.length===0, remain: list.length } })()`
+async function deleteChat(conn: CdpConnection, ui: UiSpecs, input: InputOptions, item: LocatedNode, total: number): Promise<{ ok: boolean; reason?: string }> {
+  await hover(conn, item, input)
+  const menu = await clickLocator(conn, ui.more, { root: item, ...input })
+  if (!menu.ok) return { ok: false, reason: `more menu: ${formatAttempts(menu.attempts || [])}` }
+  const del = await waitForLocator(conn, ui.del, { timeout: 1500 })
+  if (!del.ok || !del.node) return { ok: false, reason: `delete: ${formatAttempts(del.attempts)}` }
+  await clickNode(conn, del.node, input)
+  const conf = await waitForLocator(conn, ui.confirm, { timeout: 1500 })
+  if (conf.ok && conf.node) await clickNode(conn, conf.node, input)
+  const deadline = Date.now() + 3000
+  while (Date.now() < deadline) {
+    if (await countChats(conn) < total) return { ok: true }
+    await new Promise(res => setTimeout(res, 100))
+  }
+  return { ok: false, reason: 'item still listed after confirm' }
+}
+
+async function deleteChatVia(driver: Driver, ui: UiSpecs, labels: LabelProfile, index: number, total: number): Promise<{ ok: boolean; reason?: string }> {
+  if (!await driver.evaluate<boolean>(OPEN_ITEM_MENU_FN, CHAT_ITEMS.css, ui.more.css, index)) return { ok: false, reason: 'more menu: not found' }
+  const del: [string, string, RegExp][] = [['div[role="menu"]', '*', labelPattern(labels, 'delete')], ['', '*', labelPattern(labels, 'delete', true)]]
+  if (!await clickLabelVia(driver, del, 1500)) return { ok: false, reason: 'delete: not found' }
+  await clickLabelVia(driver, [['div[role="dialog"]', 'button,[role="button"]', labelPattern(labels, 'confirm')], ['', 'button,[role="button"]', labelPattern(labels, 'confirm', true)]], 1500)
+  const deadline = Date.now() + 3000
+  while (Date.now() < deadline) {
+    if (await countChatsVia(driver) < total) return { ok: true }
+    await new Promise(res => setTimeout(res, 100))
+  }
+  return { ok: false, reason: 'item still listed after confirm' }
+}
+
+function historyOf(driver: Driver, ui: UiSpecs, labels: LabelProfile): History<any> {
+  if (driver instanceof CdpDriver) {
+    return {
+      items: async () => { const r = await locateAll(driver.conn, CHAT_ITEMS); return r.ok ? r.nodes : [] },
+      remove: (item: LocatedNode, total: number) => deleteChat(driver.conn, ui, driver.input, item, total),
+      closed: () => driver.conn.closed
+    }
+  }
+  return {
+    items: async () => Array.from({ length: await countChatsVia(driver) }, (_, i) => i),
+    remove: (index: number, total: number) => deleteChatVia(driver, ui, labels, index, total),
+    closed: () => false
+  }
+}
+
+async function deleteChats<T>(history: History<T>, args: Args, log: Logger): Promise<{ ok: boolean; deleted: number; remaining: number }> {
+  let deleted = 0
+  let skip = 0
+  let remaining = 0
+  let interrupted = false
+  for (let i = 0; i < args.maxItems; i++) {
+    try {
+      interrupted = false
+      const items = await history.items()
+      remaining = items.length
+      if (items.length <= skip) break
+      const r = await history.remove(items[skip], items.length)
+      if (r.ok) { deleted++; remaining--; log.log('删除进度', `${deleted}`) } else { skip++; log.log('删除失败', r.reason || '') }
+    } catch (e: any) {
+      if (!(e instanceof CdpConnectionError) || history.closed()) throw e
+      interrupted = true
+      log.log('删除中断', e.message)
+    }
+  }
+  return { ok: !interrupted, deleted, remaining }
 }
 
+const VERIFY_EMPTY_FN = `() => { const list = Array.from(document.querySelectorAll('aside a[href*="/chat/"], a[href*="/chat/"]')); return { ok: list.length===0, remain: list.length } }`
+
 async function main() {
   const args = parseArgs()
   const outDir = path.join(process.cwd(), 'output')
   const log = new Logger(path.join(process.cwd(), 'logs', `deepseek-clear-history_${now()}.log`))
   log.log('启动', JSON.stringify(args))
-  let ws: WebSocket | null = null
+  let driver: Driver | null = null
+  let chrome: LaunchedChrome | null = null
   try {
-    const t = await ensureTarget(args.base)
+    chrome = await ensureChrome(args.base, { url: args.url })
+    if (chrome.process) log.log('已启动Chrome', chrome.base)
+    const t = await selectTarget(chrome.base, args.target, { openUrl: args.url, create: false })
     if (!t) {
       log.log('异常', '未找到DeepSeek标签页')
       process.exitCode = 3
       return
     }
-    ws = new WebSocket(t.webSocketDebuggerUrl)
-    await new Promise(res => ws!.once('open', res))
-    const call = cdp(ws, args.timeout)
-    await call('Runtime.enable', {})
-    await call('DOM.enable', {})
-    await call('Accessibility.enable', {})
-    await call('Page.enable', {})
-    await call('Page.bringToFront', {})
-    await captureScreenshot(call, path.join(outDir, `history-before_${now()}.png`))
-    const openRes: any = await call('Runtime.evaluate', { expression: openSidebarScript(), awaitPromise: true, returnByValue: true })
-    log.log('侧边栏', openRes?.result?.result?.value?.ok ? '已尝试打开' : '跳过')
-    const delRes: any = await call('Runtime.evaluate', { expression: deleteChatsScript(), awaitPromise: true, returnByValue: true })
-    const dval = delRes?.result?.result?.value
-    log.log('删除统计', JSON.stringify(dval || {}))
-    await captureScreenshot(call, path.join(outDir, `history-after_${now()}.png`))
-    const v: any = await call('Runtime.evaluate', { expression: verifyEmptyScript(), awaitPromise: true, returnByValue: true })
-    const empty = !!(v?.result?.result?.value?.ok)
+    log.log('目标', `${t.id} ${t.url} (${args.driver})`)
+    driver = await openDriver(args.driver, chrome.base, t, { timeout: args.timeout, mode: args.mode, input: args.input, front: true })
+    if (driver instanceof CdpDriver) {
+      driver.conn.on('disconnected', () => log.log('连接断开', '正在重连'))
+      driver.conn.on('reconnected', p => log.log('已重连', `第${p.attempt}次尝试`))
+    }
+    const ready = await waitForDriverReady(driver, { timeout: args.timeout })
+    log.log('页面就绪', JSON.stringify(ready))
+    await captureScreenshot(driver, path.join(outDir, `history-before_${now()}.png`))
+    const labels = await detectProfile(driver, args.lang)
+    log.log('界面语言', labels.lang)
+    const ui = uiSpecs(labels)
+    log.log('侧边栏', await openSidebar(driver, ui))
+    const dval = await deleteChats(historyOf(driver, ui, labels), args, log)
+    log.log('删除统计', JSON.stringify(dval))
+    if (!dval.ok) process.exitCode = 2
+    await captureScreenshot(driver, path.join(outDir, `history-after_${now()}.png`))
+    const v = await driver.evaluate<{ ok: boolean; remain: number }>(VERIFY_EMPTY_FN)
+    const empty = !!v?.ok
     log.log('清空结果', empty ? '已清空' : '仍有残留')
     if (!empty) process.exitCode = 2
   } catch (e: any) {
     log.log('异常', e?.message || String(e))
     process.exitCode = 1
   } finally {
-    try { await new Promise(res => setTimeout(res, 100)) } catch {}
-    if (ws) { try { ws.close() } catch {} }
+    if (driver) await driver.close().catch(() => {})
+    if (chrome) await chrome.close()
   }
 }
 
@@ -0,0 +1,151 @@
+import path from 'path'
+import { openNewChat } from './1-newchat-opener.js'
+import { inject } from './2-chat-injector.js'
+import { AnswerWatcher } from './lib/answer.js'
+import { argValue, hasFlag } from './lib/args.js'
+import { Driver, DriverName, openDriver, resolveDriverName } from './lib/driver.js'
+import { appendJsonl, PromptRow, readJsonl, readPrompts } from './lib/dataset.js'
+import { InputOptions, resolveInputOptions } from './lib/input.js'
+import { detectProfile, LabelProfile } from './lib/labels.js'
+import { ensureChrome, LaunchedChrome } from './lib/launcher.js'
+import { formatAttempts } from './lib/locator.js'
+import { applyModes, formatModes, ModeReport, ModeRequest, resolveModeArgs } from './lib/modes.js'
+import { StreamAnswer, StreamCapture } from './lib/stream.js'
+import { selectTarget, TargetSelector, targetSelectorFromArgs } from './lib/targets.js'
+import { waitForDriverReady } from './lib/wait.js'
+
+type ChatMode = 'new' | 'shared'
+type Args = { base: string; url: string; input: string; out: string; chat: ChatMode; limit: number; timeout: number; answerTimeout: number; lang?: string; modes: ModeRequest; captureStream: boolean; keyboard: InputOptions; driver: DriverName; target: TargetSelector }
+type BatchResult = {
+  id: string
+  prompt: string
+  ok: boolean
+  conversationUrl: string
+  answer: string
+  answerHtml: string
+  stream?: StreamAnswer
+  timings: { ttftMs: number | null; generationMs: number | null; totalMs: number } | null
+  mode: ModeReport | null
+  error?: string
+  chat: ChatMode
+  startedAt: string
+  finishedAt: string
+}
+
+function parseArgs(): Args {
+  const argv = process.argv.slice(2)
+  const input = argValue(argv, 'input')
+  if (!input) throw new Error('请使用 --input 指定提示词文件 (.csv / .jsonl)')
+  const chat = (argValue(argv, 'chat', 'new') as string).toLowerCase()
+  if (chat !== 'new' && chat !== 'shared') throw new Error(`--chat 仅支持 new 或 shared: ${chat}`)
+  return {
+    base: argValue(argv, 'base', process.env.CHROME_MCP_URL || 'http://127.0.0.1:9222') as string,
+    url: argValue(argv, 'url', 'https://chat.deepseek.com/') as string,
+    input,
+    out: argValue(argv, 'out', path.join(process.cwd(), 'output', `batch-${path.basename(input, path.extname(input))}.jsonl`)) as string,
+    chat,
+    limit: parseInt(argValue(argv, 'limit', '0') as string, 10),
+    timeout: parseInt(argValue(argv, 'timeout', '30000') as string, 10),
+    answerTimeout: parseInt(argValue(argv, 'answer-timeout', process.env.ANSWER_TIMEOUT_MS || '180000') as string, 10),
+    lang: argValue(argv, 'lang'),
+    modes: resolveModeArgs(argv),
+    captureStream: hasFlag(argv, 'capture-stream') || process.env.CAPTURE_STREAM === '1',
+    keyboard: resolveInputOptions(argv),
+    driver: resolveDriverName(argv, 'cdp'),
+    target: targetSelectorFromArgs(argv)
+  }
+}
+
+async function currentUrl(driver: Driver): Promise<string> {
+  return await driver.evaluate<string>('() => location.href').catch(() => '') || ''
+}
+
+async function startChat(driver: Driver, args: Args, resumeUrl?: string): Promise<void> {
+  if (resumeUrl) {
+    await driver.navigate(resumeUrl)
+  } else {
+    const n = await openNewChat(driver, { lang: args.lang })
+    if (!n.ok) throw new Error(`新建对话失败: ${formatAttempts(n.attempts || [])}`)
+  }
+  const ready = await waitForDriverReady(driver, { timeout: args.timeout })
+  if (!ready.selector) throw new Error(`页面未就绪: ${JSON.stringify(ready)}`)
+}
+
+async function ask(driver: Driver, row: PromptRow, labels: LabelProfile, args: Args, mode: ModeReport | null): Promise<BatchResult> {
+  const startedAt = new Date().toISOString()
+  const base = { id: row.id, prompt: row.prompt, chat: args.chat, mode, startedAt }
+  const watcher = new AnswerWatcher(driver, labels)
+  const capture = args.captureStream ? await StreamCapture.start(await driver.cdp()) : null
+  try {
+    const sent = await inject(driver, row.prompt, labels, () => watcher.install())
+    if (sent?.ok === false) {
+      return { ...base, ok: false, conversationUrl: await currentUrl(driver), answer: '', answerHtml: '', timings: null, error: `发送失败: ${sent.msg || ''} ${sent.attempts || ''}`.trim(), finishedAt: new Date().toISOString() }
+    }
+    const answer = await watcher.wait({ timeout: args.answerTimeout })
+    return {
+      ...base,
+      ok: answer.ok,
+      conversationUrl: await currentUrl(driver),
+      answer: answer.text,
+      answerHtml: answer.html,
+      stream: capture ? await capture.wait() : undefined,
+      timings: answer.timings,
+      error: answer.reason,
+      finishedAt: new Date().toISOString()
+    }
+  } finally {
+    if (capture) capture.dispose()
+  }
+}
+
+async function main(): Promise<void> {
+  const args = parseArgs()
+  const rows = readPrompts(args.input)
+  const previous = readJsonl<BatchResult>(args.out)
+  const done = new Set(previous.filter(r => r.ok).map(r => r.id))
+  let pending = rows.filter(r => !done.has(r.id))
+  if (args.limit > 0) pending = pending.slice(0, args.limit)
+  console.log(`提示词: ${rows.length} 已完成: ${rows.length - rows.filter(r => !done.has(r.id)).length} 本次: ${pending.length} 结果: ${args.out}`)
+  if (!pending.length) return
+  let chrome: LaunchedChrome | null = null
+  let driver: Driver | null = null
+  let ok = 0
+  let failed = 0
+  try {
+    chrome = await ensureChrome(args.base, { url: args.url })
+    const t = await selectTarget(chrome.base, args.target, { openUrl: args.url })
+    if (!t) throw new Error('未找到DeepSeek标签页')
+    driver = await openDriver(args.driver, chrome.base, t, { timeout: args.timeout, input: args.keyboard, front: true })
+    await waitForDriverReady(driver, { timeout: args.timeout })
+    const labels = await detectProfile(driver, args.lang)
+    const lastShared = [...previous].reverse().find(r => r.chat === 'shared' && r.conversationUrl && /\/chat\/./.test(r.conversationUrl))
+    let chatStarted = false
+    let mode: ModeReport | null = null
+    for (const [i, row] of pending.entries()) {
+      let result: BatchResult
+      try {
+        if (args.chat === 'new' || !chatStarted) {
+          await startChat(driver, args, args.chat === 'shared' ? lastShared?.conversationUrl : undefined)
+          chatStarted = true
+          mode = await applyModes(driver, labels, args.modes)
+          if (i === 0) console.log(`模式: ${formatModes(mode)}`)
+        }
+        result = await ask(driver, row, labels, args, mode)
+      } catch (e: any) {
+        const now = new Date().toISOString()
+        result = { id: row.id, prompt: row.prompt, ok: false, conversationUrl: '', answer: '', answerHtml: '', timings: null, mode, error: e?.message || String(e), chat: args.chat, startedAt: now, finishedAt: now }
+      }
+      appendJsonl(args.out, result)
+      if (result.ok) ok++; else failed++
+      const ms = result.timings ? `ttft=${result.timings.ttftMs}ms total=${result.timings.totalMs}ms` : ''
+      console.log(`[${i + 1}/${pending.length}] ${row.id} ${result.ok ? '成功' : '失败'} ${ms} ${result.error || ''}`.trim())
+    }
+  } finally {
+    console.log(`完成: 成功 ${ok} 失败 ${failed}`)
+    if (driver) await driver.close().catch(() => {})
+    if (chrome) await chrome.close()
+  }
+  if (failed) process.exitCode = 2
+}
+
+main().catch((e: any) => { console.error('批量执行失败:', e?.message || e); process.exit(1) })
@@ -0,0 +1,178 @@
+import fs from 'fs'
+import path from 'path'
+import YAML from 'yaml'
+import { openNewChat } from './1-newchat-opener.js'
+import { inject } from './2-chat-injector.js'
+import { createOpenAIClient, isUnsupportedJsonMode, OPENAI_CONFIG } from './4-htmlDialogueExtractor.js'
+import { AnswerResult, AnswerWatcher } from './lib/answer.js'
+import { argValue, hasFlag } from './lib/args.js'
+import { AssertionOutcome, checkExpect, RubricJudge, TurnExpect, validateExpect } from './lib/assertions.js'
+import { Driver, DriverName, openDriver, resolveDriverName } from './lib/driver.js'
+import { InputOptions, resolveInputOptions } from './lib/input.js'
+import { detectProfile, LabelProfile } from './lib/labels.js'
+import { ensureChrome, LaunchedChrome } from './lib/launcher.js'
+import { formatAttempts } from './lib/locator.js'
+import { applyModes, formatModes, ModeReport, ModeRequest, resolveModeArgs } from './lib/modes.js'
+import { StreamAnswer, StreamCapture } from './lib/stream.js'
+import { selectTarget, TargetSelector, targetSelectorFromArgs } from './lib/targets.js'
+import { waitForDriverReady } from './lib/wait.js'
+
+type ScriptTurn = { user: string; expect: TurnExpect }
+type ConversationScript = { name: string; newChat: boolean; answerTimeoutMs?: number; defaults: TurnExpect; turns: ScriptTurn[] }
+type TurnReport = { index: number; user: string; pass: boolean; answer: string; stream?: StreamAnswer; timings: AnswerResult['timings'] | null; assertions: AssertionOutcome[]; error?: string }
+type Args = { base: string; url: string; script: string; out?: string; timeout: number; bail: boolean; lang?: string; modes: ModeRequest; captureStream: boolean; keyboard: InputOptions; driver: DriverName; target: TargetSelector }
+
+function parseArgs(): Args {
+  const argv = process.argv.slice(2)
+  const script = argValue(argv, 'script') || argv.find(a => !a.startsWith('--') && /\.(ya?ml|json)$/i.test(a))
+  if (!script) throw new Error('请使用 --script 指定对话脚本 (.yaml / .yml / .json)')
+  return {
+    base: argValue(argv, 'base', process.env.CHROME_MCP_URL || 'http://127.0.0.1:9222') as string,
+    url: argValue(argv, 'url', 'https://chat.deepseek.com/') as string,
+    script,
+    out: argValue(argv, 'out'),
+    timeout: parseInt(argValue(argv, 'timeout', '30000') as string, 10),
+    bail: hasFlag(argv, 'bail'),
+    lang: argValue(argv, 'lang'),
+    modes: resolveModeArgs(argv),
+    captureStream: hasFlag(argv, 'capture-stream') || process.env.CAPTURE_STREAM === '1',
+    keyboard: resolveInputOptions(argv),
+    driver: resolveDriverName(argv, 'cdp'),
+    target: targetSelectorFromArgs(argv)
+  }
+}
+
+function loadScript(file: string): ConversationScript {
+  if (!fs.existsSync(file)) throw new Error(`未找到对话脚本: ${file}`)
+  const raw = fs.readFileSync(file, 'utf8')
+  const data: any = /\.json$/i.test(file) ? JSON.parse(raw) : YAML.parse(raw)
+  const turns: any[] = Array.isArray(data) ? data : data?.turns
+  if (!Array.isArray(turns) || !turns.length) throw new Error(`${file}: 脚本必须包含非空的 turns 列表`)
+  const defaults = validateExpect(Array.isArray(data) ? undefined : data?.defaults, `${file}: defaults`)
+  return {
+    name: (!Array.isArray(data) && typeof data?.name === 'string' && data.name) || path.basename(file, path.extname(file)),
+    newChat: Array.isArray(data) || data?.newChat !== false,
+    answerTimeoutMs: typeof data?.answerTimeoutMs === 'number' ? data.answerTimeoutMs : undefined,
+    defaults,
+    turns: turns.map((t, i) => {
+      const where = `${file}: turns[${i}]`
+      const user = typeof t === 'string' ? t : t?.user
+      if (typeof user !== 'string' || !user.trim()) throw new Error(`${where}: user 必须是非空字符串`)
+      return { user, expect: { ...defaults, ...validateExpect(typeof t === 'string' ? undefined : t.expect, where) } }
+    })
+  }
+}
+
+async function createJudge(): Promise<RubricJudge | undefined> {
+  if (!OPENAI_CONFIG.apiKey) return undefined
+  const client = await createOpenAIClient()
+  return async (rubric, question, answer) => {
+    let json = OPENAI_CONFIG.jsonMode !== 'prompt'
+    for (;;) {
+      let tid: any
+      const timeoutPromise = new Promise((_, reject) => { tid = setTimeout(() => reject(new Error(`请求超时 (${OPENAI_CONFIG.timeout}ms)`)), OPENAI_CONFIG.timeout) })
+      let response: any
+      try {
+        const apiRequest = client.chat.completions.create({
+          model: OPENAI_CONFIG.model,
+          messages: [
+            { role: 'system', content: '你是一个严格的对话质量评审。根据评分标准判断AI回答是否合格，只输出JSON: {"pass": true|false, "score": 0到1之间的小数, "reason": "简短理由"}' },
+            { role: 'user', content: `评分标准:\n${rubric}\n\n用户问题:\n${question}\n\nAI回答:\n${answer}` }
+          ],
+          max_tokens: 300,
+          temperature: 0,
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        })
+        response = await Promise.race([apiRequest, timeoutPromise]) as any
+      } catch (error: any) {
+        if (!json || !isUnsupportedJsonMode(error)) throw error
+        json = false
+        continue
+      } finally {
+        clearTimeout(tid)
+      }
+      const content: string = response?.choices?.[0]?.message?.content || ''
+      let v: any
+      try {
+        v = JSON.parse(json ? content : (/\{[\s\S]*\}/.exec(content)?.[0] || content))
+      } catch {
+        throw new Error(`评审输出不是JSON: ${content.slice(0, 200)}`)
+      }
+      return { pass: v?.pass === true, score: typeof v?.score === 'number' ? v.score : undefined, reason: String(v?.reason || '') }
+    }
+  }
+}
+
+async function runTurn(driver: Driver, turn: ScriptTurn, index: number, ctx: { labels: LabelProfile; args: Args; script: ConversationScript; judge?: RubricJudge }): Promise<TurnReport> {
+  const watcher = new AnswerWatcher(driver, ctx.labels)
+  const capture = ctx.args.captureStream ? await StreamCapture.start(await driver.cdp()) : null
+  try {
+    const sent = await inject(driver, turn.user, ctx.labels, () => watcher.install())
+    if (sent?.ok === false) return { index, user: turn.user, pass: false, answer: '', timings: null, assertions: [], error: `发送失败: ${sent.msg || ''}` }
+    const answer = await watcher.wait({ timeout: ctx.script.answerTimeoutMs })
+    const stream = capture ? await capture.wait() : undefined
+    const assertions = await checkExpect(turn.expect, turn.user, answer, ctx.judge)
+    if (!answer.ok) assertions.unshift({ type: 'answered', pass: false, detail: answer.reason || 'no answer' })
+    return { index, user: turn.user, pass: assertions.every(a => a.pass), answer: answer.text, stream, timings: answer.timings, assertions }
+  } finally {
+    if (capture) capture.dispose()
+  }
+}
+
+function now(): string {
+  const d = new Date()
+  const p = (n: number) => `${n}`.padStart(2, '0')
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}_${p(d.getHours())}-${p(d.getMinutes())}-${p(d.getSeconds())}`
+}
+
+async function main(): Promise<void> {
+  const args = parseArgs()
+  const script = loadScript(args.script)
+  const judge = script.turns.some(t => t.expect.rubric) ? await createJudge() : undefined
+  const reports = [] as TurnReport[]
+  let conversationUrl = ''
+  let mode: ModeReport | null = null
+  let chrome: LaunchedChrome | null = null
+  let driver: Driver | null = null
+  try {
+    chrome = await ensureChrome(args.base, { url: args.url })
+    const t = await selectTarget(chrome.base, args.target, { openUrl: args.url })
+    if (!t) throw new Error('未找到DeepSeek标签页')
+    driver = await openDriver(args.driver, chrome.base, t, { timeout: args.timeout, input: args.keyboard, front: true })
+    await waitForDriverReady(driver, { timeout: args.timeout })
+    const labels = await detectProfile(driver, args.lang)
+    if (script.newChat) {
+      const n = await openNewChat(driver, { lang: args.lang })
+      if (!n.ok) throw new Error(`新建对话失败: ${formatAttempts(n.attempts || [])}`)
+      await waitForDriverReady(driver, { timeout: args.timeout })
+    }
+    mode = await applyModes(driver, labels, args.modes)
+    console.log(`模式: ${formatModes(mode)}`)
+    for (const [i, turn] of script.turns.entries()) {
+      let r: TurnReport
+      try {
+        r = await runTurn(driver, turn, i + 1, { labels, args, script, judge })
+      } catch (e: any) {
+        r = { index: i + 1, user: turn.user, pass: false, answer: '', timings: null, assertions: [], error: e?.message || String(e) }
+      }
+      reports.push(r)
+      console.log(`[${r.index}/${script.turns.length}] ${r.pass ? 'PASS' : 'FAIL'} ${r.timings ? `${r.timings.totalMs}ms` : ''} ${r.user.split('\n')[0].slice(0, 60)}`)
+      for (const a of r.assertions) if (!a.pass) console.log(`    ✗ ${a.type}: ${a.detail}`)
+      if (r.error) console.log(`    ✗ ${r.error}`)
+      if (!r.pass && args.bail) break
+    }
+    conversationUrl = await driver.evaluate<string>('() => location.href').catch(() => '') || ''
+  } finally {
+    if (driver) await driver.close().catch(() => {})
+    if (chrome) await chrome.close()
+  }
+  const passed = reports.filter(r => r.pass).length
+  const report = { name: script.name, script: path.resolve(args.script), conversationUrl, mode, pass: passed === script.turns.length, passed, failed: script.turns.length - passed, generatedAt: new Date().toISOString(), turns: reports }
+  const out = args.out || path.join(process.cwd(), 'output', `conversation-report_${script.name}_${now()}.json`)
+  fs.mkdirSync(path.dirname(out), { recursive: true })
+  fs.writeFileSync(out, JSON.stringify(report, null, 2), 'utf8')
+  console.log(`${report.pass ? '通过' : '未通过'}: ${passed}/${script.turns.length} 报告: ${out}`)
+  if (!report.pass) process.exitCode = 2
+}
+
+main().catch((e: any) => { console.error('对话脚本执行失败:', e?.message || e); process.exit(1) })
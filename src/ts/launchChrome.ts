@@ -0,0 +1,42 @@
+import { argValue, hasFlag } from './lib/args.js'
+import { launchChrome, LaunchOptions } from './lib/launcher.js'
+
+function parseArgs(): LaunchOptions {
+  const argv = process.argv.slice(2)
+  const get = (name: string, def?: string) => argValue(argv, name, def)
+  const has = (name: string) => hasFlag(argv, name)
+  const port = get('port', process.env.CHROME_PORT || '9222') as string
+  if (port !== 'auto' && !(/^\d+$/.test(port) && parseInt(port, 10) <= 65535)) throw new Error(`invalid --port: ${port} (expected auto or an integer 0-65535)`)
+  const timeout = get('timeout', '30000') as string
+  if (!/^\d+$/.test(timeout)) throw new Error(`invalid --timeout: ${timeout} (expected milliseconds)`)
+  return {
+    executablePath: get('chrome-path', process.env.CHROME_PATH),
+    headless: has('headless') || process.env.CHROME_HEADLESS === '1',
+    userDataDir: get('user-data-dir', process.env.CHROME_USER_DATA_DIR),
+    port: port === 'auto' ? 'auto' : parseInt(port, 10),
+    address: get('address', '127.0.0.1'),
+    url: get('url', 'https://chat.deepseek.com/'),
+    timeout: parseInt(timeout, 10)
+  }
+}
+
+async function main(): Promise<void> {
+  const options = parseArgs()
+  const chrome = await launchChrome(options)
+  console.log(`Chrome: ${chrome.executablePath}`)
+  console.log(`Profile: ${chrome.userDataDir}`)
+  console.log(`DevTools: ${chrome.base}`)
+  console.log(`export CHROME_MCP_URL=${chrome.base}`)
+  let stopping = false
+  const stop = async () => {
+    if (stopping) return
+    stopping = true
+    await chrome.close()
+    process.exit(0)
+  }
+  process.on('SIGINT', stop)
+  process.on('SIGTERM', stop)
+  chrome.process?.once('exit', code => { if (!stopping) { console.error(`Chrome exited (${code})`); process.exit(1) } })
+}
+
+main().catch((e: any) => { console.error(e?.message || String(e)); process.exit(1) })
@@ -0,0 +1,127 @@
+import type { Driver } from './driver.js'
+import { LabelProfile, labelsFor } from './labels.js'
+
+export type AnswerWaitOptions = { timeout?: number; stableMs?: number; pollMs?: number; selector?: string }
+export type AnswerTimings = { ttftMs: number | null; generationMs: number | null; totalMs: number }
+export type AnswerSignals = { stopSeen: boolean; stopGone: boolean; stable: boolean; controls: boolean }
+export type AnswerResult = { ok: boolean; text: string; html: string; timings: AnswerTimings; signals: AnswerSignals; reason?: string }
+
+const ANSWER_TIMEOUT_MS = parseInt(process.env.ANSWER_TIMEOUT_MS || '180000', 10)
+const ANSWER_STABLE_MS = parseInt(process.env.ANSWER_STABLE_MS || '1500', 10)
+export const ANSWER_SELECTOR = process.env.ANSWER_SELECTOR || '.ds-markdown, [data-message-author-role="assistant"], [data-role="assistant"], .markdown-body'
+
+const WATCH_KEY = '__chatAnswerWatch'
+
+function installScript(selector: string): string {
+  return `(() => {
+    const prev = window[${JSON.stringify(WATCH_KEY)}]
+    if (prev && prev.observer) prev.observer.disconnect()
+    const sel = ${JSON.stringify(selector)}
+    const top = () => Array.from(document.querySelectorAll(sel)).filter(el => !el.parentElement || !el.parentElement.closest(sel))
+    const w = { sel, baseline: top().length, startedAt: performance.now(), firstTokenAt: null, lastMutationAt: null }
+    w.observer = new MutationObserver(() => {
+      const list = top()
+      if (list.length <= w.baseline) return
+      const text = (list[list.length - 1].innerText || '').trim()
+      if (!text) return
+      const t = performance.now()
+      if (w.firstTokenAt === null) w.firstTokenAt = t
+      w.lastMutationAt = t
+    })
+    w.observer.observe(document.body, { subtree: true, childList: true, characterData: true })
+    window[${JSON.stringify(WATCH_KEY)}] = w
+    return { baseline: w.baseline }
+  })()`
+}
+
+function probeScript(labels: { stop: string[]; controls: string[] }, withContent: boolean): string {
+  return `(() => {
+    const w = window[${JSON.stringify(WATCH_KEY)}]
+    if (!w) return { installed: false }
+    const labels = ${JSON.stringify(labels)}
+    const visible = el => { const r = el.getBoundingClientRect(); const st = getComputedStyle(el); return r.width > 0 && r.height > 0 && st.visibility !== 'hidden' && st.display !== 'none' }
+    const nameOf = el => [el.getAttribute('aria-label'), el.getAttribute('title'), el.innerText].filter(Boolean).join(' ')
+    const matches = (el, names) => { const n = nameOf(el); return names.some(x => n.includes(x)) }
+    const list = Array.from(document.querySelectorAll(w.sel)).filter(el => !el.parentElement || !el.parentElement.closest(w.sel))
+    const last = list.length > w.baseline ? list[list.length - 1] : null
+    const buttons = Array.from(document.querySelectorAll('button, [role="button"]')).filter(visible)
+    const stop = buttons.some(b => matches(b, labels.stop) || /stop/i.test(b.getAttribute('data-testid') || ''))
+    let controls = false
+    if (last) {
+      const after = buttons.filter(b => last.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING)
+      controls = after.some(b => matches(b, labels.controls))
+    }
+    const now = performance.now()
+    const out = {
+      installed: true,
+      count: list.length,
+      baseline: w.baseline,
+      stop,
+      controls,
+      textLength: last ? (last.innerText || '').trim().length : 0,
+      firstTokenMs: w.firstTokenAt === null ? null : Math.round(w.firstTokenAt - w.startedAt),
+      generationMs: w.lastMutationAt === null ? null : Math.round(w.lastMutationAt - w.startedAt),
+      quietMs: w.lastMutationAt === null ? null : Math.round(now - w.lastMutationAt)
+    }
+    if (${withContent ? 'true' : 'false'}) {
+      out.text = last ? (last.innerText || '').trim() : ''
+      out.html = last ? last.innerHTML : ''
+      w.observer.disconnect()
+    }
+    return out
+  })()`
+}
+
+export class AnswerWatcher {
+  driver: Driver
+  labels: LabelProfile
+  selector: string
+  startedAt = 0
+
+  constructor(driver: Driver, labels: LabelProfile, selector = ANSWER_SELECTOR) {
+    this.driver = driver
+    this.labels = labels
+    this.selector = selector
+  }
+
+  async install(): Promise<void> {
+    await this.driver.evaluate(`() => ${installScript(this.selector)}`)
+    this.startedAt = Date.now()
+  }
+
+  async wait(options: AnswerWaitOptions = {}): Promise<AnswerResult> {
+    const timeout = typeof options.timeout === 'number' ? options.timeout : ANSWER_TIMEOUT_MS
+    const stableMs = typeof options.stableMs === 'number' ? options.stableMs : ANSWER_STABLE_MS
+    const pollMs = options.pollMs || 200
+    const deadline = this.startedAt + timeout
+    const names = { stop: labelsFor(this.labels, 'stop'), controls: [...labelsFor(this.labels, 'copy'), ...labelsFor(this.labels, 'regenerate')] }
+    const signals: AnswerSignals = { stopSeen: false, stopGone: false, stable: false, controls: false }
+    let reason = 'timeout'
+    for (;;) {
+      let p: any = null
+      try { p = await this.driver.evaluate(`() => ${probeScript(names, false)}`) } catch {}
+      if (p && !p.installed) { reason = 'watcher lost (page navigated?)'; break }
+      if (p) {
+        if (p.stop) signals.stopSeen = true
+        signals.stopGone = signals.stopSeen && !p.stop
+        signals.controls = p.controls
+        signals.stable = p.quietMs !== null && p.quietMs >= stableMs
+        const started = p.count > p.baseline && p.textLength > 0
+        if (started && !p.stop && signals.stable && (p.controls || p.quietMs >= stableMs * 3)) { reason = ''; break }
+      }
+      if (Date.now() >= deadline) break
+      await new Promise(res => setTimeout(res, Math.min(pollMs, Math.max(1, deadline - Date.now()))))
+    }
+    const totalMs = Date.now() - this.startedAt
+    let final: any = null
+    try { final = await this.driver.evaluate(`() => ${probeScript(names, true)}`) } catch {}
+    return {
+      ok: !reason,
+      text: final?.text || '',
+      html: final?.html || '',
+      timings: { ttftMs: final?.firstTokenMs ?? null, generationMs: final?.generationMs ?? null, totalMs },
+      signals,
+      reason: reason || undefined
+    }
+  }
+}
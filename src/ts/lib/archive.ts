@@ -0,0 +1,250 @@
+import path from 'path'
+import { CdpConnection } from './cdp.js'
+
+export type ArchiveFormat = 'mhtml' | 'html'
+export type ArchiveMeta = { url: string; title: string; capturedAt: string }
+export type ArchiveResult = ArchiveMeta & { format: ArchiveFormat; content: string; resources: number; missing: string[] }
+
+type PageResource = { frameId: string; mimeType: string }
+type Fetched = { mimeType: string; data: Buffer }
+
+export const ARCHIVE_FORMATS: ArchiveFormat[] = ['mhtml', 'html']
+const ARCHIVE_TIMEOUT_MS = parseInt(process.env.ARCHIVE_TIMEOUT_MS || '120000', 10)
+const RESOURCE_TIMEOUT_MS = parseInt(process.env.ARCHIVE_RESOURCE_TIMEOUT_MS || '15000', 10)
+const TOKEN_PATTERN = /__ARCHIVE_RES_(\d+)__/g
+const EXT_MIME: Record<string, string> = {
+  '.css': 'text/css',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf'
+}
+
+export function resolveArchiveFormat(value: string): ArchiveFormat {
+  const v = value.trim().toLowerCase()
+  if (!ARCHIVE_FORMATS.includes(v as ArchiveFormat)) throw new Error(`--archive 仅支持 ${ARCHIVE_FORMATS.join(' / ')}: ${value}`)
+  return v as ArchiveFormat
+}
+
+async function pageMeta(conn: CdpConnection): Promise<ArchiveMeta> {
+  const r = await conn.call('Runtime.evaluate', { expression: '({ url: location.href, title: document.title })', returnByValue: true })
+  const v = r?.result?.result?.value || {}
+  return { url: v.url || '', title: v.title || '', capturedAt: new Date().toISOString() }
+}
+
+function mimeHeader(value: string): string {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?utf-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`
+}
+
+export async function captureMhtml(conn: CdpConnection): Promise<ArchiveResult> {
+  await conn.call('Page.enable', {}).catch(() => {})
+  const meta = await pageMeta(conn)
+  const r = await conn.call('Page.captureSnapshot', { format: 'mhtml' }, { timeout: ARCHIVE_TIMEOUT_MS })
+  const data = r?.result?.data
+  if (typeof data !== 'string' || !data) throw new Error('Page.captureSnapshot 未返回MHTML')
+  const extra = [`X-Archive-Url: ${mimeHeader(meta.url)}`, `X-Archive-Title: ${mimeHeader(meta.title)}`, `X-Archive-Captured-At: ${meta.capturedAt}`].join('\r\n')
+  const content = /^From: /.test(data) ? data.replace(/\r?\n/, m => `${m}${extra}\r\n`) : `${extra}\r\n${data}`
+  return { ...meta, format: 'mhtml', content, resources: (data.match(/^Content-Location: /gm) || []).length, missing: [] }
+}
+
+const SERIALIZE_FN = `() => {
+  const urls = []
+  const token = (raw) => {
+    if (!raw || /^(data|blob|about|javascript):/i.test(raw.trim())) return raw
+    let abs
+    try { abs = new URL(raw.trim(), document.baseURI).href } catch { return raw }
+    let i = urls.indexOf(abs)
+    if (i < 0) { urls.push(abs); i = urls.length - 1 }
+    return '__ARCHIVE_RES_' + i + '__'
+  }
+  const sheets = []
+  const collect = (sheet) => {
+    let rules
+    try { rules = Array.from(sheet.cssRules) } catch { sheets.push({ href: sheet.href, css: null, media: sheet.media?.mediaText || '' }); return }
+    const own = []
+    for (const r of rules) {
+      if (r instanceof CSSImportRule && r.styleSheet) collect(r.styleSheet)
+      else own.push(r.cssText)
+    }
+    sheets.push({ href: sheet.href || document.baseURI, css: own.join('\\n'), media: sheet.media?.mediaText || '' })
+  }
+  for (const sheet of Array.from(document.styleSheets)) if (!sheet.disabled) collect(sheet)
+  for (const sheet of Array.from(document.adoptedStyleSheets || [])) collect(sheet)
+  const clone = document.documentElement.cloneNode(true)
+  const pairs = (sel) => {
+    const a = document.documentElement.querySelectorAll(sel)
+    const b = clone.querySelectorAll(sel)
+    return Array.from(a).map((el, i) => [el, b[i]]).filter(p => p[1])
+  }
+  for (const [el, c] of pairs('input, textarea, select, canvas, img, video, a[href], area[href]')) {
+    const tag = el.tagName
+    if (tag === 'INPUT') {
+      if (el.type === 'checkbox' || el.type === 'radio') { if (el.checked) c.setAttribute('checked', ''); else c.removeAttribute('checked') }
+      else if (el.type !== 'file' && el.type !== 'password') c.setAttribute('value', el.value)
+      if (el.type === 'image') c.setAttribute('src', token(el.src))
+    } else if (tag === 'TEXTAREA') {
+      c.textContent = el.value
+    } else if (tag === 'SELECT') {
+      Array.from(el.options).forEach((o, i) => { if (o.selected) c.options[i]?.setAttribute('selected', ''); else c.options[i]?.removeAttribute('selected') })
+    } else if (tag === 'CANVAS') {
+      try {
+        const img = document.createElement('img')
+        img.src = el.toDataURL()
+        img.width = el.width
+        img.height = el.height
+        for (const a of ['class', 'style']) if (el.getAttribute(a)) img.setAttribute(a, el.getAttribute(a))
+        c.replaceWith(img)
+      } catch {}
+    } else if (tag === 'IMG') {
+      c.setAttribute('src', token(el.currentSrc || el.src))
+      c.removeAttribute('srcset')
+      c.removeAttribute('sizes')
+      c.removeAttribute('loading')
+    } else if (tag === 'VIDEO') {
+      if (el.poster) c.setAttribute('poster', token(el.poster))
+      c.removeAttribute('src')
+      c.querySelectorAll('source').forEach(s => s.remove())
+    } else if (typeof el.href === 'string') {
+      c.setAttribute('href', el.href)
+    }
+  }
+  clone.querySelectorAll('picture > source').forEach(s => s.remove())
+  clone.querySelectorAll('link[rel~="icon"][href]').forEach(l => l.setAttribute('href', token(l.getAttribute('href'))))
+  clone.querySelectorAll('svg image').forEach(i => {
+    for (const a of ['href', 'xlink:href']) if (i.getAttribute(a)) i.setAttribute(a, token(i.getAttribute(a)))
+  })
+  clone.querySelectorAll('[style]').forEach(el => {
+    el.setAttribute('style', el.getAttribute('style').replace(/url\\(\\s*(['"]?)([^'")]+)\\1\\s*\\)/g, (m, q, u) => 'url("' + token(u) + '")'))
+  })
+  clone.querySelectorAll('script, style, base, iframe, noscript, link:not([rel~="icon"]), meta[http-equiv]').forEach(el => el.remove())
+  return { html: clone.outerHTML, sheets, urls }
+}`
+
+async function resourceTree(conn: CdpConnection): Promise<Map<string, PageResource>> {
+  const out = new Map<string, PageResource>()
+  const r = await conn.call('Page.getResourceTree', {}, { idempotent: true }).catch(() => null)
+  const walk = (tree: any) => {
+    if (!tree?.frame) return
+    out.set(tree.frame.url, { frameId: tree.frame.id, mimeType: tree.frame.mimeType || 'text/html' })
+    for (const res of tree.resources || []) out.set(res.url, { frameId: tree.frame.id, mimeType: res.mimeType || '' })
+    for (const child of tree.childFrames || []) walk(child)
+  }
+  walk(r?.result?.frameTree)
+  return out
+}
+
+function guessMime(url: string, fallback = ''): string {
+  try { return EXT_MIME[path.extname(new URL(url).pathname).toLowerCase()] || fallback } catch { return fallback }
+}
+
+function fetcher(conn: CdpConnection, tree: Map<string, PageResource>): (url: string) => Promise<Fetched | null> {
+  const cache = new Map<string, Promise<Fetched | null>>()
+  const load = async (url: string): Promise<Fetched | null> => {
+    const known = tree.get(url)
+    if (known) {
+      try {
+        const r = await conn.call('Page.getResourceContent', { frameId: known.frameId, url }, { timeout: RESOURCE_TIMEOUT_MS, idempotent: true })
+        const body = r?.result?.content
+        if (typeof body === 'string') return { mimeType: known.mimeType || guessMime(url), data: Buffer.from(body, r.result.base64Encoded ? 'base64' : 'utf8') }
+      } catch {}
+    }
+    const f = (globalThis as any).fetch
+    if (typeof f !== 'function') return null
+    try {
+      const res = await f(url, { signal: AbortSignal.timeout(RESOURCE_TIMEOUT_MS) })
+      if (!res.ok) return null
+      const type = String(res.headers.get('content-type') || '').split(';')[0].trim()
+      return { mimeType: type || guessMime(url), data: Buffer.from(await res.arrayBuffer()) }
+    } catch {
+      return null
+    }
+  }
+  return url => {
+    if (!cache.has(url)) cache.set(url, load(url))
+    return cache.get(url) as Promise<Fetched | null>
+  }
+}
+
+function dataUri(f: Fetched, url: string): string {
+  return `data:${f.mimeType || guessMime(url, 'application/octet-stream')};base64,${f.data.toString('base64')}`
+}
+
+async function replaceAsync(text: string, pattern: RegExp, fn: (...m: string[]) => Promise<string>): Promise<string> {
+  const jobs = [] as Promise<string>[]
+  text.replace(pattern, (...m: any[]) => { jobs.push(fn(...m)); return '' })
+  const values = await Promise.all(jobs)
+  let i = 0
+  return text.replace(pattern, () => values[i++])
+}
+
+async function inlineCss(css: string, base: string, load: (url: string) => Promise<Fetched | null>, missing: Set<string>): Promise<string> {
+  return await replaceAsync(css, /url\(\s*(['"]?)([^'")]+)\1\s*\)/g, async (m, _q, raw) => {
+    if (/^(data|blob|about):|^#/i.test(raw.trim())) return m
+    let abs: string
+    try { abs = new URL(raw.trim(), base).href } catch { return m }
+    const f = await load(abs)
+    if (!f) { missing.add(abs); return `url("${abs}")` }
+    return `url("${dataUri(f, abs)}")`
+  })
+}
+
+function escapeHtml(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+export async function captureSingleFile(conn: CdpConnection): Promise<ArchiveResult> {
+  await conn.call('Page.enable', {}).catch(() => {})
+  const meta = await pageMeta(conn)
+  const r = await conn.call('Runtime.evaluate', { expression: `(${SERIALIZE_FN})()`, returnByValue: true }, { timeout: ARCHIVE_TIMEOUT_MS })
+  if (r?.result?.exceptionDetails) throw new Error(r.result.exceptionDetails?.exception?.description || r.result.exceptionDetails.text || '页面序列化失败')
+  const page = r?.result?.result?.value
+  if (!page?.html) throw new Error('页面序列化失败: 无结果')
+  const fetchOne = fetcher(conn, await resourceTree(conn))
+  const loaded = new Set<string>()
+  const missing = new Set<string>()
+  const load = async (url: string) => {
+    const f = await fetchOne(url)
+    if (f) loaded.add(url)
+    return f
+  }
+  const styles = [] as string[]
+  for (const sheet of page.sheets as Array<{ href: string | null; css: string | null; media: string }>) {
+    let css = sheet.css
+    if (css === null && sheet.href) {
+      const f = await load(sheet.href)
+      if (!f) { missing.add(sheet.href); continue }
+      css = f.data.toString('utf8')
+    }
+    if (!css) continue
+    const inlined = await inlineCss(css, sheet.href || meta.url, load, missing)
+    styles.push(`<style${sheet.media ? ` media="${escapeHtml(sheet.media)}"` : ''}>\n${inlined.replace(/<\/style/gi, '<\\/style')}\n</style>`)
+  }
+  const urls: string[] = page.urls || []
+  const inlined = await Promise.all(urls.map(async u => {
+    const f = await load(u)
+    if (!f) { missing.add(u); return u }
+    return dataUri(f, u)
+  }))
+  let html = (page.html as string).replace(TOKEN_PATTERN, (_m, i) => inlined[Number(i)] ?? '')
+  const header = [
+    `<meta charset="utf-8">`,
+    `<meta name="archive-url" content="${escapeHtml(meta.url)}">`,
+    `<meta name="archive-title" content="${escapeHtml(meta.title)}">`,
+    `<meta name="archive-captured-at" content="${meta.capturedAt}">`
+  ].join('\n')
+  html = html.replace(/<head(\s[^>]*)?>/i, m => `${m}\n${header}\n`).replace(/<\/head>/i, `${styles.join('\n')}\n</head>`)
+  const comment = `<!--\n  url: ${meta.url.replace(/--/g, '- -')}\n  title: ${meta.title.replace(/--/g, '- -')}\n  captured: ${meta.capturedAt}\n-->`
+  return { ...meta, format: 'html', content: `<!DOCTYPE html>\n${comment}\n${html}\n`, resources: loaded.size, missing: [...missing] }
+}
+
+export async function captureArchive(conn: CdpConnection, format: ArchiveFormat): Promise<ArchiveResult> {
+  return format === 'mhtml' ? await captureMhtml(conn) : await captureSingleFile(conn)
+}
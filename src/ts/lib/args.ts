@@ -0,0 +1,24 @@
+export function argValue(argv: string[], name: string, def?: string): string | undefined {
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i]
+    if (a.startsWith(`--${name}=`)) return a.slice(name.length + 3)
+    if (a === `--${name}` && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) return argv[i + 1]
+  }
+  return def
+}
+
+export function hasFlag(argv: string[], name: string): boolean {
+  return argv.includes(`--${name}`)
+}
+
+export function argValues(argv: string[], name: string): string[] {
+  const out = [] as string[]
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i]
+    if (a.startsWith(`--${name}=`)) out.push(...a.slice(name.length + 3).split(',').filter(Boolean))
+    else if (a === `--${name}`) {
+      while (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) out.push(argv[++i])
+    }
+  }
+  return out
+}
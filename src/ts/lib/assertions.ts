@@ -0,0 +1,69 @@
+import { AnswerResult } from './answer.js'
+
+export type TurnExpect = {
+  contains?: string | string[]
+  notContains?: string | string[]
+  regex?: string | string[]
+  maxLatencyMs?: number
+  maxTtftMs?: number
+  rubric?: string
+}
+export type AssertionOutcome = { type: string; pass: boolean; detail: string }
+export type RubricVerdict = { pass: boolean; score?: number; reason: string }
+export type RubricJudge = (rubric: string, question: string, answer: string) => Promise<RubricVerdict>
+
+const list = (v: string | string[] | undefined): string[] => v === undefined ? [] : ([] as string[]).concat(v)
+
+export function toRegExp(pattern: string): RegExp {
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(pattern)
+  return m ? new RegExp(m[1], m[2]) : new RegExp(pattern)
+}
+
+export function validateExpect(expect: any, where: string): TurnExpect {
+  if (expect === undefined || expect === null) return {}
+  if (typeof expect !== 'object' || Array.isArray(expect)) throw new Error(`${where}: expect 必须是对象`)
+  const known = ['contains', 'notContains', 'regex', 'maxLatencyMs', 'maxTtftMs', 'rubric']
+  for (const k of Object.keys(expect)) if (!known.includes(k)) throw new Error(`${where}: 未知断言 ${k} (支持: ${known.join(', ')})`)
+  for (const k of ['contains', 'notContains', 'regex']) {
+    const v = expect[k]
+    if (v !== undefined && typeof v !== 'string' && !(Array.isArray(v) && v.every(x => typeof x === 'string'))) throw new Error(`${where}: ${k} 必须是字符串或字符串数组`)
+  }
+  for (const k of ['maxLatencyMs', 'maxTtftMs']) {
+    if (expect[k] !== undefined && (typeof expect[k] !== 'number' || expect[k] <= 0)) throw new Error(`${where}: ${k} 必须是正数`)
+  }
+  if (expect.rubric !== undefined && typeof expect.rubric !== 'string') throw new Error(`${where}: rubric 必须是字符串`)
+  for (const r of list(expect.regex)) {
+    try { toRegExp(r) } catch (e: any) { throw new Error(`${where}: 无效的正则 ${r}: ${e.message}`) }
+  }
+  return expect as TurnExpect
+}
+
+export async function checkExpect(expect: TurnExpect, question: string, answer: AnswerResult, judge?: RubricJudge): Promise<AssertionOutcome[]> {
+  const out = [] as AssertionOutcome[]
+  const text = answer.text
+  const lower = text.toLowerCase()
+  for (const s of list(expect.contains)) out.push({ type: 'contains', pass: lower.includes(s.toLowerCase()), detail: s })
+  for (const s of list(expect.notContains)) out.push({ type: 'notContains', pass: !lower.includes(s.toLowerCase()), detail: s })
+  for (const r of list(expect.regex)) out.push({ type: 'regex', pass: toRegExp(r).test(text), detail: r })
+  if (expect.maxLatencyMs !== undefined) {
+    const ms = answer.timings.totalMs
+    out.push({ type: 'maxLatencyMs', pass: ms <= expect.maxLatencyMs, detail: `${ms}ms <= ${expect.maxLatencyMs}ms` })
+  }
+  if (expect.maxTtftMs !== undefined) {
+    const ms = answer.timings.ttftMs
+    out.push({ type: 'maxTtftMs', pass: ms !== null && ms <= expect.maxTtftMs, detail: `${ms === null ? 'n/a' : `${ms}ms`} <= ${expect.maxTtftMs}ms` })
+  }
+  if (expect.rubric !== undefined) {
+    if (!judge) {
+      out.push({ type: 'rubric', pass: false, detail: '未配置LLM评审 (缺少SILICONFLOW_API_KEY)' })
+    } else {
+      try {
+        const v = await judge(expect.rubric, question, text)
+        out.push({ type: 'rubric', pass: v.pass, detail: `${v.score !== undefined ? `score=${v.score} ` : ''}${v.reason}` })
+      } catch (e: any) {
+        out.push({ type: 'rubric', pass: false, detail: `评审失败: ${e?.message || String(e)}` })
+      }
+    }
+  }
+  return out
+}
@@ -0,0 +1,134 @@
+import fs from 'fs'
+import path from 'path'
+import { CdpConnection } from './cdp.js'
+import { LabelProfile, labelsFor } from './labels.js'
+import { callOn, LocatedNode, locateAll } from './locator.js'
+
+export type AttachedFile = { path: string; name: string; size: number }
+export type AttachResult = { ok: boolean; files: AttachedFile[]; accept: string; elapsedMs: number }
+
+const ATTACH_TIMEOUT_MS = parseInt(process.env.ATTACH_TIMEOUT_MS || '120000', 10)
+const ATTACH_STABLE_MS = 800
+
+const MIME_TYPES: Record<string, string> = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp'
+}
+
+export function resolveAttachments(paths: string[]): AttachedFile[] {
+  return paths.map(p => {
+    const abs = path.resolve(p)
+    if (!fs.existsSync(abs)) throw new Error(`未找到附件: ${p}`)
+    const st = fs.statSync(abs)
+    if (!st.isFile()) throw new Error(`附件不是文件: ${p}`)
+    return { path: abs, name: path.basename(abs), size: st.size }
+  })
+}
+
+export function acceptsFile(accept: string, file: string): boolean {
+  const rules = accept.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+  if (!rules.length) return true
+  const ext = path.extname(file).toLowerCase()
+  const mime = MIME_TYPES[ext] || ''
+  return rules.some(r => {
+    if (r.startsWith('.')) return r === ext
+    if (r.endsWith('/*')) return !!mime && mime.startsWith(r.slice(0, -1))
+    return r === mime
+  })
+}
+
+async function fileInputs(conn: CdpConnection): Promise<{ node: LocatedNode; accept: string; multiple: boolean }[]> {
+  const found = await locateAll(conn, { name: 'file input', css: 'input[type="file"]', frames: true })
+  const out = [] as { node: LocatedNode; accept: string; multiple: boolean }[]
+  for (const node of found.nodes) {
+    const r = await callOn(conn, node, 'function(){ return { accept: this.accept || "", multiple: !!this.multiple, disabled: !!this.disabled } }', { returnByValue: true })
+    const v = r?.result?.result?.value
+    if (v && !v.disabled) out.push({ node, accept: v.accept, multiple: v.multiple })
+  }
+  return out
+}
+
+function probeScript(names: string[], labels: { uploading: string[]; failed: string[] }): string {
+  return `(() => {
+    const names = ${JSON.stringify(names)}
+    const labels = ${JSON.stringify(labels)}
+    const textOf = el => [el.innerText, el.getAttribute && el.getAttribute('title'), el.getAttribute && el.getAttribute('aria-label')].filter(Boolean).join(' ')
+    const chipOf = name => {
+      let hit = null
+      for (const el of document.querySelectorAll('body *')) {
+        if (el.children.length > 8) continue
+        if (textOf(el).includes(name) && (!hit || hit.contains(el))) hit = el
+      }
+      if (!hit) return null
+      let chip = hit
+      for (let i = 0; i < 3 && chip.parentElement && chip.parentElement !== document.body; i++) {
+        const p = chip.parentElement
+        if (names.filter(n => textOf(p).includes(n)).length > 1) break
+        chip = p
+      }
+      return chip
+    }
+    return names.map(name => {
+      const chip = chipOf(name)
+      if (!chip) return { name, present: false, busy: false, error: '' }
+      const text = textOf(chip)
+      const busy = !!chip.querySelector('[role="progressbar"], progress, [aria-busy="true"], [class*="loading"], [class*="progress"], [class*="spin"]')
+        || labels.uploading.some(x => text.includes(x))
+      const error = labels.failed.find(x => text.toLowerCase().includes(x.toLowerCase())) || ''
+      return { name, present: true, busy, error: error ? text.replace(/\\s+/g, ' ').trim().slice(0, 200) : '' }
+    })
+  })()`
+}
+
+export async function attachFiles(conn: CdpConnection, paths: string[], labels: LabelProfile, options: { timeout?: number } = {}): Promise<AttachResult> {
+  const started = Date.now()
+  const files = resolveAttachments(paths)
+  if (!files.length) return { ok: true, files, accept: '', elapsedMs: 0 }
+  const inputs = await fileInputs(conn)
+  if (!inputs.length) throw new Error('未找到文件上传控件 (input[type=file])')
+  const usable = inputs.filter(i => i.multiple || files.length === 1)
+  if (!usable.length) throw new Error(`上传控件不支持一次选择多个文件: ${files.map(f => f.name).join(', ')}`)
+  const target = usable.find(i => files.every(f => acceptsFile(i.accept, f.name)))
+  if (!target) {
+    const accept = usable[0].accept
+    const rejected = files.filter(f => !acceptsFile(accept, f.name)).map(f => f.name)
+    throw new Error(`不支持的附件类型: ${rejected.join(', ')} (页面接受: ${accept})`)
+  }
+  await conn.call('DOM.setFileInputFiles', { files: files.map(f => f.path), backendNodeId: target.node.backendNodeId }, target.node.sessionId ? { sessionId: target.node.sessionId } : {})
+  const timeout = typeof options.timeout === 'number' ? options.timeout : ATTACH_TIMEOUT_MS
+  const names = { uploading: labelsFor(labels, 'uploading'), failed: labelsFor(labels, 'uploadFailed') }
+  let readySince = 0
+  let last: any[] = []
+  while (Date.now() - started < timeout) {
+    const r = await conn.call('Runtime.evaluate', { expression: probeScript(files.map(f => f.name), names), returnByValue: true }, { idempotent: true })
+    last = r?.result?.result?.value || []
+    const failed = last.find(s => s.error)
+    if (failed) throw new Error(`附件被拒绝: ${failed.name}: ${failed.error}`)
+    if (last.length && last.every(s => s.present && !s.busy)) {
+      if (!readySince) readySince = Date.now()
+      if (Date.now() - readySince >= ATTACH_STABLE_MS) return { ok: true, files, accept: target.accept, elapsedMs: Date.now() - started }
+    } else {
+      readySince = 0
+    }
+    await new Promise(res => setTimeout(res, 250))
+  }
+  const pending = last.filter(s => !s.present || s.busy).map(s => `${s.name}(${s.present ? '处理中' : '未出现'})`)
+  throw new Error(`等待附件上传超时 (${timeout}ms): ${pending.join(', ') || files.map(f => f.name).join(', ')}`)
+}
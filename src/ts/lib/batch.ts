@@ -0,0 +1,133 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+export type BatchJob<T> = { key: string; label: string; run: () => Promise<T> }
+export type BatchOutcome<T> = { index: number; key: string; ok: boolean; value?: T; error?: string; attempts: number; cached: boolean }
+export type BatchOptions = { concurrency?: number; retries?: number; backoffMs?: number; maxBackoffMs?: number; statePath?: string | null }
+export type BatchState<T> = { version: 1; updatedAt: string; jobs: Record<string, { ok: boolean; value?: T; error?: string; attempts: number }> }
+
+const CONCURRENCY = parseInt(process.env.LLM_CONCURRENCY || '3', 10)
+const RETRIES = parseInt(process.env.LLM_BATCH_RETRIES || '3', 10)
+const BACKOFF_MS = parseInt(process.env.LLM_BACKOFF_MS || '1000', 10)
+const MAX_BACKOFF_MS = parseInt(process.env.LLM_BACKOFF_MAX_MS || '60000', 10)
+const RETRYABLE_STATUS = new Set([408, 409, 429])
+const RETRYABLE_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'UND_ERR_SOCKET'])
+const RETRYABLE_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError', 'TimeoutError'])
+
+const sleep = (ms: number) => new Promise(res => setTimeout(res, ms))
+
+export function batchKey(...parts: string[]): string {
+  return crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex').slice(0, 16)
+}
+
+function header(error: any, name: string): string | null {
+  const h = error?.headers || error?.response?.headers
+  if (!h) return null
+  const v = typeof h.get === 'function' ? h.get(name) : h[name] ?? h[name.toLowerCase()]
+  return v == null ? null : String(v)
+}
+
+export function retryAfterMs(error: any): number | null {
+  const ms = parseFloat(header(error, 'retry-after-ms') || '')
+  if (Number.isFinite(ms) && ms >= 0) return ms
+  const raw = header(error, 'retry-after')
+  if (!raw) return null
+  const sec = parseFloat(raw)
+  if (Number.isFinite(sec) && sec >= 0) return sec * 1000
+  const at = Date.parse(raw)
+  return Number.isFinite(at) ? Math.max(at - Date.now(), 0) : null
+}
+
+export function isRetryable(error: any): boolean {
+  const status = error?.status ?? error?.response?.status
+  if (typeof status === 'number') return RETRYABLE_STATUS.has(status) || status >= 500
+  for (let e = error, depth = 0; e && depth < 5; e = e.cause, depth++) {
+    if (RETRYABLE_CODES.has(e.code) || RETRYABLE_NAMES.has(e.name)) return true
+  }
+  return false
+}
+
+function backoff(attempt: number, base: number, max: number): number {
+  const full = Math.min(base * 2 ** attempt, max)
+  return Math.round(full / 2 + Math.random() * full / 2)
+}
+
+export function readBatchState<T>(statePath: string): BatchState<T> | null {
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'))
+    return state?.version === 1 && state.jobs ? state : null
+  } catch {
+    return null
+  }
+}
+
+function writeBatchState<T>(statePath: string, state: BatchState<T>): void {
+  state.updatedAt = new Date().toISOString()
+  try { fs.mkdirSync(path.dirname(statePath), { recursive: true }) } catch {}
+  const tmp = `${statePath}.tmp`
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8')
+  fs.renameSync(tmp, statePath)
+}
+
+export async function runBatches<T>(jobs: BatchJob<T>[], options: BatchOptions = {}): Promise<BatchOutcome<T>[]> {
+  const concurrency = Math.max(options.concurrency ?? CONCURRENCY, 1)
+  const retries = Math.max(options.retries ?? RETRIES, 0)
+  const base = options.backoffMs ?? BACKOFF_MS
+  const max = options.maxBackoffMs ?? MAX_BACKOFF_MS
+  const statePath = options.statePath ? path.resolve(options.statePath) : null
+  const previous = (statePath && readBatchState<T>(statePath)) || null
+  const keys = new Set(jobs.map(j => j.key))
+  const state: BatchState<T> = { version: 1, updatedAt: '', jobs: Object.fromEntries(Object.entries(previous?.jobs || {}).filter(([k]) => keys.has(k))) }
+  const outcomes = new Array<BatchOutcome<T>>(jobs.length)
+  let pausedUntil = 0
+  let next = 0
+
+  const pending = [] as number[]
+  jobs.forEach((job, index) => {
+    const saved = state.jobs[job.key]
+    if (saved?.ok) outcomes[index] = { index, key: job.key, ok: true, value: saved.value, attempts: 0, cached: true }
+    else pending.push(index)
+  })
+  if (statePath && pending.length < jobs.length) console.log(`复用 ${jobs.length - pending.length}/${jobs.length} 个已完成批次 (${statePath})`)
+
+  const runOne = async (index: number) => {
+    const job = jobs[index]
+    let attempt = 0
+    for (;;) {
+      const wait = pausedUntil - Date.now()
+      if (wait > 0) await sleep(wait)
+      try {
+        const value = await job.run()
+        outcomes[index] = { index, key: job.key, ok: true, value, attempts: attempt + 1, cached: false }
+        break
+      } catch (error: any) {
+        const message = error?.message || String(error)
+        if (attempt >= retries || !isRetryable(error)) {
+          outcomes[index] = { index, key: job.key, ok: false, error: message, attempts: attempt + 1, cached: false }
+          break
+        }
+        const limited = (error?.status ?? error?.response?.status) === 429
+        const requested = limited ? retryAfterMs(error) : null
+        const delay = requested != null ? Math.min(requested, max) : backoff(attempt, base, max)
+        if (limited) pausedUntil = Math.max(pausedUntil, Date.now() + delay)
+        console.warn(`${job.label}失败 (第 ${attempt + 1} 次): ${message}，${Math.round(delay / 100) / 10}s 后重试`)
+        attempt++
+        await sleep(delay)
+      }
+    }
+    const o = outcomes[index]
+    if (statePath) {
+      state.jobs[job.key] = o.ok ? { ok: true, value: o.value, attempts: o.attempts } : { ok: false, error: o.error, attempts: o.attempts }
+      writeBatchState(statePath, state)
+    }
+  }
+
+  const worker = async () => {
+    while (next < pending.length) await runOne(pending[next++])
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker))
+
+  if (statePath && outcomes.every(o => o.ok)) { try { fs.unlinkSync(statePath) } catch {} }
+  return outcomes
+}
@@ -0,0 +1,122 @@
+import { CdpCall, CdpClient, CdpConnection, CdpConnectionError, CdpEventSource, connectCdp } from './cdp.js'
+import { connectSession, SessionTarget } from './session.js'
+import { getBrowserVersion } from './targets.js'
+
+export type TargetInfo = { targetId: string; type: string; title: string; url: string; attached?: boolean; openerId?: string; browserContextId?: string }
+export type ConnectMode = 'page' | 'browser'
+export type ConnectPageOptions = { timeout?: number; mode?: ConnectMode }
+
+export class TargetSession extends CdpEventSource {
+  browser: CdpBrowser
+  sessionId: string
+  targetId: string
+
+  constructor(browser: CdpBrowser, sessionId: string, targetId: string) {
+    super(browser.client.timeout)
+    this.browser = browser
+    this.sessionId = sessionId
+    this.targetId = targetId
+  }
+
+  call: CdpCall = (method, params, options) => {
+    if (this.closed) return Promise.reject(new CdpConnectionError('session detached', method))
+    return this.browser.client.call(method, params, { ...options, sessionId: options?.sessionId || this.sessionId })
+  }
+
+  dispatch(params: any, message: any): void {
+    this.emit(message.method, params, message)
+  }
+
+  detached(): void {
+    if (this.closed) return
+    this.closed = true
+    this.browser.sessions.delete(this.sessionId)
+    this.emit('close', {}, {})
+  }
+
+  close(): void {
+    if (this.closed) return
+    if (!this.browser.client.closed) this.browser.client.call('Target.detachFromTarget', { sessionId: this.sessionId }).catch(() => {})
+    this.detached()
+  }
+}
+
+export class CdpBrowser {
+  base: string
+  client: CdpClient
+  targets = new Map<string, TargetInfo>()
+  sessions = new Map<string, TargetSession>()
+
+  constructor(base: string, client: CdpClient) {
+    this.base = base
+    this.client = client
+    client.on('*', (params, message) => {
+      if (!message?.sessionId) return
+      const s = this.sessions.get(message.sessionId)
+      if (s) s.dispatch(params, message)
+    })
+    client.on('Target.targetCreated', p => { if (p?.targetInfo?.targetId) this.targets.set(p.targetInfo.targetId, p.targetInfo) })
+    client.on('Target.targetInfoChanged', p => { if (p?.targetInfo?.targetId) this.targets.set(p.targetInfo.targetId, p.targetInfo) })
+    client.on('Target.targetDestroyed', p => { if (p?.targetId) this.targets.delete(p.targetId) })
+    client.on('Target.detachedFromTarget', p => { const s = p?.sessionId ? this.sessions.get(p.sessionId) : undefined; if (s) s.detached() })
+    client.on('close', () => { for (const s of Array.from(this.sessions.values())) s.detached() })
+  }
+
+  async init(): Promise<this> {
+    await this.client.call('Target.setDiscoverTargets', { discover: true })
+    const r = await this.client.call('Target.getTargets', {})
+    for (const t of r?.result?.targetInfos || []) this.targets.set(t.targetId, t)
+    return this
+  }
+
+  pages(): TargetInfo[] {
+    return Array.from(this.targets.values()).filter(t => t.type === 'page')
+  }
+
+  async attach(targetId: string): Promise<TargetSession> {
+    const r = await this.client.call('Target.attachToTarget', { targetId, flatten: true })
+    const sessionId = r?.result?.sessionId
+    if (!sessionId) throw new CdpConnectionError(`attachToTarget returned no sessionId for ${targetId}`, 'Target.attachToTarget')
+    const s = new TargetSession(this, sessionId, targetId)
+    this.sessions.set(sessionId, s)
+    return s
+  }
+
+  async newPage(url = 'about:blank', options: { background?: boolean; newWindow?: boolean } = {}): Promise<TargetSession> {
+    const r = await this.client.call('Target.createTarget', { url, background: !!options.background, newWindow: !!options.newWindow })
+    const targetId = r?.result?.targetId
+    if (!targetId) throw new CdpConnectionError('createTarget returned no targetId', 'Target.createTarget')
+    return await this.attach(targetId)
+  }
+
+  async closeTarget(targetId: string): Promise<void> {
+    await this.client.call('Target.closeTarget', { targetId })
+  }
+
+  close(): void {
+    this.client.close()
+  }
+}
+
+export async function connectBrowser(base: string, options: { timeout?: number } = {}): Promise<CdpBrowser> {
+  const v = await getBrowserVersion(base)
+  const client = await connectCdp(v.webSocketDebuggerUrl, options)
+  return await new CdpBrowser(base, client).init()
+}
+
+export function resolveConnectMode(value?: string): ConnectMode {
+  return (value || process.env.CDP_MODE || 'page').toLowerCase() === 'browser' ? 'browser' : 'page'
+}
+
+export async function connectPage(base: string, target: SessionTarget, options: ConnectPageOptions = {}): Promise<CdpConnection> {
+  if ((options.mode || resolveConnectMode()) !== 'browser') return await connectSession(base, target, { timeout: options.timeout })
+  const browser = await connectBrowser(base, { timeout: options.timeout })
+  try {
+    const s = target.id ? await browser.attach(target.id) : await browser.newPage(target.url)
+    s.once('close', () => browser.close())
+    return s
+  } catch (e) {
+    browser.close()
+    throw e
+  }
+}
@@ -0,0 +1,177 @@
+import WebSocket from 'ws'
+
+export type CdpOptions = { timeout?: number; idempotent?: boolean; sessionId?: string }
+export type CdpCall = (method: string, params?: any, options?: CdpOptions) => Promise<any>
+export type CdpEventHandler = (params: any, message: any) => void
+export type CdpClientOptions = { timeout?: number }
+export type CdpConnection = CdpEventSource & { call: CdpCall; close(): void }
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.CDP_TIMEOUT_MS || '10000', 10)
+
+export class CdpError extends Error {
+  method?: string
+  constructor(message: string, method?: string) {
+    super(message)
+    this.name = 'CdpError'
+    this.method = method
+  }
+}
+
+export class CdpTimeoutError extends CdpError {
+  timeout: number
+  constructor(method: string, timeout: number) {
+    super(`cdp timeout for ${method} after ${timeout}ms`, method)
+    this.name = 'CdpTimeoutError'
+    this.timeout = timeout
+  }
+}
+
+export class CdpProtocolError extends CdpError {
+  code?: number
+  data?: any
+  constructor(method: string, error: any) {
+    super(typeof error?.message === 'string' ? `${method}: ${error.message}` : `${method}: cdp error`, method)
+    this.name = 'CdpProtocolError'
+    this.code = typeof error?.code === 'number' ? error.code : undefined
+    this.data = error?.data
+  }
+}
+
+export class CdpConnectionError extends CdpError {
+  constructor(message: string, method?: string) {
+    super(message, method)
+    this.name = 'CdpConnectionError'
+  }
+}
+
+type Pending = { resolve: (v: any) => void; reject: (e: any) => void; tid?: any; method: string }
+
+export class CdpEventSource {
+  timeout: number
+  closed = false
+  private handlers = new Map<string, Set<CdpEventHandler>>()
+
+  constructor(timeout?: number) {
+    this.timeout = typeof timeout === 'number' ? timeout : DEFAULT_TIMEOUT_MS
+  }
+
+  on(method: string, handler: CdpEventHandler): () => void {
+    let set = this.handlers.get(method)
+    if (!set) { set = new Set(); this.handlers.set(method, set) }
+    set.add(handler)
+    return () => this.off(method, handler)
+  }
+
+  off(method: string, handler: CdpEventHandler): void {
+    const set = this.handlers.get(method)
+    if (!set) return
+    set.delete(handler)
+    if (set.size === 0) this.handlers.delete(method)
+  }
+
+  once(method: string, handler: CdpEventHandler): () => void {
+    const off = this.on(method, (params, message) => { off(); handler(params, message) })
+    return off
+  }
+
+  waitForEvent(method: string, predicate?: (params: any) => boolean, timeout?: number): Promise<any> {
+    const to = typeof timeout === 'number' ? timeout : this.timeout
+    return new Promise((resolve, reject) => {
+      if (this.closed) { reject(new CdpConnectionError('ws closed', method)); return }
+      const done = () => { clearTimeout(tid); offEvent(); offClose() }
+      const tid = setTimeout(() => { done(); reject(new CdpTimeoutError(method, to)) }, to)
+      const offEvent = this.on(method, params => {
+        let ok = true
+        try { ok = predicate ? !!predicate(params) : true } catch { ok = false }
+        if (ok) { done(); resolve(params) }
+      })
+      const offClose = this.on('close', () => { done(); reject(new CdpConnectionError('ws closed', method)) })
+    })
+  }
+
+  protected emit(method: string, params: any, message: any): void {
+    for (const key of [method, '*']) {
+      const set = this.handlers.get(key)
+      if (!set) continue
+      for (const h of Array.from(set)) { try { h(params, message) } catch {} }
+    }
+  }
+}
+
+export class CdpClient extends CdpEventSource {
+  ws: WebSocket
+  private seq = 0
+  private pending = new Map<number, Pending>()
+
+  constructor(ws: WebSocket, options: CdpClientOptions = {}) {
+    super(options.timeout)
+    this.ws = ws
+    ws.on('message', (m: any) => this.onMessage(m))
+    ws.on('error', () => this.rejectAll(new CdpConnectionError('ws error')))
+    ws.on('close', () => {
+      this.closed = true
+      this.rejectAll(new CdpConnectionError('ws closed'))
+      this.emit('close', {}, {})
+    })
+  }
+
+  call: CdpCall = (method, params, options) => {
+    if (this.closed || this.ws.readyState !== WebSocket.OPEN) return Promise.reject(new CdpConnectionError('ws not open', method))
+    this.seq += 1
+    const id = this.seq
+    const to = options && typeof options.timeout === 'number' ? options.timeout : this.timeout
+    return new Promise((resolve, reject) => {
+      const tid = setTimeout(() => {
+        if (this.pending.has(id)) {
+          this.pending.delete(id)
+          reject(new CdpTimeoutError(method, to))
+        }
+      }, to)
+      this.pending.set(id, { resolve, reject, tid, method })
+      try { this.ws.send(JSON.stringify(options?.sessionId ? { id, method, params: params || {}, sessionId: options.sessionId } : { id, method, params: params || {} })) } catch (e: any) {
+        clearTimeout(tid)
+        this.pending.delete(id)
+        reject(new CdpConnectionError(e?.message || 'ws send failed', method))
+      }
+    })
+  }
+
+  close(): void {
+    try { this.ws.close() } catch {}
+  }
+
+  private onMessage(m: any): void {
+    let d: any
+    try { d = JSON.parse(m.toString()) } catch { return }
+    if (!d) return
+    if (typeof d.id === 'number') {
+      const p = this.pending.get(d.id)
+      if (!p) return
+      this.pending.delete(d.id)
+      if (p.tid) clearTimeout(p.tid)
+      if (d.error) p.reject(new CdpProtocolError(p.method, d.error))
+      else p.resolve(d)
+      return
+    }
+    if (typeof d.method === 'string') this.emit(d.method, d.params || {}, d)
+  }
+
+  private rejectAll(err: CdpConnectionError): void {
+    for (const [key, v] of this.pending.entries()) {
+      if (v.tid) clearTimeout(v.tid)
+      v.reject(new CdpConnectionError(err.message, v.method))
+      this.pending.delete(key)
+    }
+  }
+}
+
+export async function connectCdp(wsUrl: string, options: CdpClientOptions = {}): Promise<CdpClient> {
+  const ws = new WebSocket(wsUrl)
+  await new Promise<void>((resolve, reject) => {
+    const onError = (e: any) => { ws.off('open', onOpen); reject(new CdpConnectionError(`ws connect failed: ${e?.message || String(e)}`)) }
+    const onOpen = () => { ws.off('error', onError); resolve() }
+    ws.once('open', onOpen)
+    ws.once('error', onError)
+  })
+  return new CdpClient(ws, options)
+}
@@ -0,0 +1,150 @@
+import { escapeHtmlAttr, HtmlElement, HtmlNode, parseHtml, serializeHtml, VOID_TAGS } from './html.js'
+import { ConversationTurn } from './transcript.js'
+
+export type HtmlChunk = { index: number; html: string; chars: number; units: number; overlapUnits: number }
+export type ChunkOptions = { maxChars: number; overlap?: number }
+
+type Unit = { path: string[]; html: string }
+
+const MAX_OVERLAP_TURNS = 6
+const MIN_JOIN_CHARS = 6
+
+function openTag(el: HtmlElement): string {
+  const attrs = Object.entries(el.attrs).map(([k, v]) => (v === '' ? ` ${k}` : ` ${k}="${escapeHtmlAttr(v)}"`)).join('')
+  return `<${el.tag}${attrs}>`
+}
+
+function closeTag(open: string): string {
+  return `</${(/^<([^\s>]+)/.exec(open) as RegExpExecArray)[1]}>`
+}
+
+function splitText(text: string, maxChars: number): string[] {
+  const out = [] as string[]
+  let rest = text
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars)
+    const cut = Math.max(window.lastIndexOf('\n'), ...['。', '！', '？', '. ', '! ', '? '].map(p => window.lastIndexOf(p) + p.length - 1))
+    const at = cut > maxChars / 2 ? cut + 1 : maxChars
+    out.push(rest.slice(0, at))
+    rest = rest.slice(at)
+  }
+  if (rest) out.push(rest)
+  return out
+}
+
+function toUnits(node: HtmlNode, path: string[], budget: number, out: Unit[]): void {
+  const html = serializeHtml(node)
+  if (html.length <= budget || node.type !== 'element' || VOID_TAGS.has(node.tag)) {
+    if (node.type === 'text' && html.length > budget) for (const part of splitText(node.text, budget)) out.push({ path, html: serializeHtml({ type: 'text', text: part }) })
+    else if (html.trim()) out.push({ path, html })
+    return
+  }
+  const open = node.tag === '#root' ? [] : [openTag(node)]
+  const childPath = [...path, ...open]
+  const childBudget = Math.max(budget - open.join('').length - open.map(closeTag).join('').length, 1)
+  for (const c of node.children) toUnits(c, childPath, childBudget, out)
+}
+
+function render(units: Unit[]): string {
+  const out = [] as string[]
+  let stack = [] as string[]
+  for (const u of units) {
+    let common = 0
+    while (common < stack.length && common < u.path.length && stack[common] === u.path[common]) common++
+    for (let i = stack.length - 1; i >= common; i--) out.push(closeTag(stack[i]))
+    for (let i = common; i < u.path.length; i++) out.push(u.path[i])
+    stack = u.path
+    out.push(u.html)
+  }
+  for (let i = stack.length - 1; i >= 0; i--) out.push(closeTag(stack[i]))
+  return out.join('')
+}
+
+function pathCost(u: Unit): number {
+  return u.path.join('').length + u.path.map(closeTag).join('').length
+}
+
+export function chunkHtml(html: string, options: ChunkOptions): HtmlChunk[] {
+  const maxChars = Math.max(options.maxChars, 200)
+  const overlap = Math.min(Math.max(options.overlap || 0, 0), Math.floor(maxChars / 2))
+  if (html.length <= maxChars) return [{ index: 0, html, chars: html.length, units: 1, overlapUnits: 0 }]
+  const units = [] as Unit[]
+  toUnits(parseHtml(html), [], maxChars - overlap, units)
+  const chunks = [] as HtmlChunk[]
+  let current = [] as Unit[]
+  let size = 0
+  let carried = 0
+  const flush = () => {
+    const body = render(current)
+    chunks.push({ index: chunks.length, html: body, chars: body.length, units: current.length, overlapUnits: carried })
+    const tail = [] as Unit[]
+    let tailSize = 0
+    for (let i = current.length - 1; i >= carried; i--) {
+      if (tailSize + current[i].html.length > overlap) break
+      tailSize += current[i].html.length
+      tail.unshift(current[i])
+    }
+    current = tail
+    size = tailSize
+    carried = tail.length
+  }
+  for (const u of units) {
+    if (current.length > carried && size + u.html.length + pathCost(u) > maxChars) flush()
+    current.push(u)
+    size += u.html.length
+  }
+  if (current.length > carried) flush()
+  return chunks
+}
+
+function normalize(s: string): string {
+  return s.replace(/[\s\p{P}\p{S}]+/gu, '').toLowerCase()
+}
+
+function sameTurn(a: ConversationTurn, b: ConversationTurn): boolean {
+  if (a.role !== b.role) return false
+  const x = normalize(a.content)
+  const y = normalize(b.content)
+  return !!x && !!y && (x === y || x.includes(y) || y.includes(x))
+}
+
+function pickLonger(a: ConversationTurn, b: ConversationTurn): ConversationTurn {
+  const keep = b.content.length > a.content.length ? b : a
+  const reasoning = (b.reasoning || '').length > (a.reasoning || '').length ? b.reasoning : a.reasoning
+  return reasoning ? { ...keep, reasoning } : keep
+}
+
+function joinContent(a: string, b: string): string {
+  for (let n = Math.min(a.length, b.length); n >= MIN_JOIN_CHARS; n--) {
+    if (a.endsWith(b.slice(0, n))) return a + b.slice(n)
+  }
+  return `${a}\n${b}`
+}
+
+export function mergeTurns(chunks: ConversationTurn[][]): ConversationTurn[] {
+  const merged = [] as ConversationTurn[]
+  for (const list of chunks) {
+    const next = [...list].sort((a, b) => a.order - b.order)
+    if (!merged.length) { merged.push(...next); continue }
+    let k = Math.min(merged.length, next.length, MAX_OVERLAP_TURNS)
+    for (; k > 0; k--) {
+      const start = merged.length - k
+      if (next.slice(0, k).every((t, i) => sameTurn(merged[start + i], t))) break
+    }
+    for (let i = 0; i < k; i++) merged[merged.length - k + i] = pickLonger(merged[merged.length - k + i], next[i])
+    let rest = next.slice(k)
+    const last = merged[merged.length - 1]
+    if (!k && rest.length && last.role === rest[0].role) {
+      merged[merged.length - 1] = { ...last, content: joinContent(last.content, rest[0].content) }
+      rest = rest.slice(1)
+    }
+    merged.push(...rest)
+  }
+  const out = [] as ConversationTurn[]
+  for (const t of merged) {
+    const prev = out[out.length - 1]
+    if (prev && sameTurn(prev, t)) out[out.length - 1] = pickLonger(prev, t)
+    else out.push(t)
+  }
+  return out.map((t, i) => ({ ...t, order: i + 1 }))
+}
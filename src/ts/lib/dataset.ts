@@ -0,0 +1,94 @@
+import fs from 'fs'
+import path from 'path'
+
+export type PromptRow = { id: string; prompt: string; line: number; extra: Record<string, any> }
+
+const PROMPT_KEYS = ['prompt', 'text', 'question', 'query']
+const ID_KEYS = ['id', 'prompt_id', 'promptId', 'key']
+
+export function parseCsv(content: string): string[][] {
+  const rows: string[][] = []
+  let row: string[] = []
+  let field = ''
+  let quoted = false
+  const s = content.replace(/^\uFEFF/, '')
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i]
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i++ }
+      else if (c === '"') quoted = false
+      else field += c
+    } else if (c === '"' && field === '') {
+      quoted = true
+    } else if (c === ',') {
+      row.push(field); field = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++
+      row.push(field); field = ''
+      rows.push(row); row = []
+    } else {
+      field += c
+    }
+  }
+  if (quoted) throw new Error('CSV格式错误: 引号未闭合')
+  if (field !== '' || row.length) { row.push(field); rows.push(row) }
+  return rows.filter(r => r.some(x => x.trim() !== ''))
+}
+
+function pick(obj: Record<string, any>, keys: string[]): any {
+  for (const k of keys) if (obj[k] !== undefined && obj[k] !== null && `${obj[k]}` !== '') return obj[k]
+  return undefined
+}
+
+function toRow(obj: Record<string, any>, line: number, file: string): PromptRow {
+  const prompt = pick(obj, PROMPT_KEYS)
+  if (typeof prompt !== 'string' || !prompt.trim()) throw new Error(`${file}:${line} 缺少提示词字段 (${PROMPT_KEYS.join('/')})`)
+  const id = pick(obj, ID_KEYS)
+  const extra = { ...obj }
+  for (const k of [...PROMPT_KEYS, ...ID_KEYS]) delete extra[k]
+  return { id: id === undefined ? `row-${line}` : `${id}`, prompt: prompt.replace(/\r\n?/g, '\n'), line, extra }
+}
+
+export function readPrompts(file: string): PromptRow[] {
+  if (!fs.existsSync(file)) throw new Error(`未找到提示词文件: ${file}`)
+  const content = fs.readFileSync(file, 'utf8')
+  const ext = path.extname(file).toLowerCase()
+  let rows: PromptRow[]
+  if (ext === '.csv') {
+    const table = parseCsv(content)
+    if (!table.length) return []
+    const header = table[0].map(h => h.trim())
+    rows = table.slice(1).map((cells, i) => toRow(Object.fromEntries(header.map((h, j) => [h, cells[j] ?? ''])), i + 2, file))
+  } else if (ext === '.jsonl' || ext === '.ndjson') {
+    rows = []
+    content.split(/\r?\n/).forEach((l, i) => {
+      if (!l.trim()) return
+      let obj: any
+      try { obj = JSON.parse(l) } catch (e: any) { throw new Error(`${file}:${i + 1} JSON解析失败: ${e.message}`) }
+      rows.push(toRow(typeof obj === 'string' ? { prompt: obj } : obj, i + 1, file))
+    })
+  } else {
+    throw new Error(`不支持的提示词文件格式: ${ext || file} (仅支持 .csv / .jsonl)`)
+  }
+  const seen = new Set<string>()
+  for (const r of rows) {
+    if (seen.has(r.id)) throw new Error(`${file}:${r.line} 重复的提示词ID: ${r.id}`)
+    seen.add(r.id)
+  }
+  return rows
+}
+
+export function readJsonl<T = any>(file: string): T[] {
+  if (!fs.existsSync(file)) return []
+  const out = [] as T[]
+  for (const l of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (!l.trim()) continue
+    try { out.push(JSON.parse(l)) } catch {}
+  }
+  return out
+}
+
+export function appendJsonl(file: string, record: any): void {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.appendFileSync(file, JSON.stringify(record) + '\n', 'utf8')
+}
@@ -0,0 +1,162 @@
+import type { Driver } from './driver.js'
+import { HtmlElement, HtmlNode, parseHtml, serializeHtml, textOf } from './html.js'
+
+export type DialogueRole = 'user' | 'assistant' | 'system'
+export type CodeBlock = { language: string; code: string }
+export type DialogueTurn = { index: number; role: DialogueRole; text: string; html: string; code: CodeBlock[]; reasoning?: string }
+export type DialogueParse = { ok: boolean; turns: DialogueTurn[]; reason?: string }
+
+type Piece = { kind: 'user' | 'assistant' | 'system' | 'reasoning'; el: HtmlElement }
+
+const MESSAGE_CLASS = new RegExp(process.env.DIALOGUE_MESSAGE_CLASS || '^ds-message$')
+const ANSWER_CLASS = new RegExp(process.env.DIALOGUE_ANSWER_CLASS || '^ds-markdown$')
+const USER_CLASS = new RegExp(process.env.DIALOGUE_USER_CLASS || '^fbb737a4$')
+const THINK_CLASS = new RegExp(process.env.DIALOGUE_THINK_CLASS || '^ds-think-content$|^e1675d8b$|^ds-thinking$')
+const ROLE_ATTRS = ['data-message-author-role', 'data-role']
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'svg', 'button', 'textarea', 'input', 'select', 'template'])
+const SKIP_CLASS = /code-block-banner|code-block-infostring|ds-markdown-cite|ds-think-header/
+const LANGUAGE_CLASS = /code-block-language|code-block-infostring|^d813de27$/
+const BLOCK_TAGS = new Set(['div', 'section', 'article', 'li', 'dl', 'dt', 'dd', 'thead', 'tbody', 'tr', 'hr', 'details', 'summary', 'figure'])
+const PARAGRAPH_TAGS = new Set(['p', 'ul', 'ol', 'blockquote', 'table', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'])
+
+function classes(el: HtmlElement): string[] {
+  return (el.attrs.class || '').split(/\s+/).filter(Boolean)
+}
+
+function hasClass(el: HtmlElement, pattern: RegExp): boolean {
+  return classes(el).some(c => pattern.test(c))
+}
+
+function findAll(el: HtmlElement, pred: (e: HtmlElement) => boolean, out: HtmlElement[] = []): HtmlElement[] {
+  for (const c of el.children) {
+    if (c.type !== 'element') continue
+    if (pred(c)) out.push(c)
+    else findAll(c, pred, out)
+  }
+  return out
+}
+
+function roleOf(el: HtmlElement): DialogueRole | null {
+  for (const a of ROLE_ATTRS) {
+    const v = (el.attrs[a] || '').toLowerCase()
+    if (v === 'user' || v === 'human') return 'user'
+    if (v === 'assistant' || v === 'ai' || v === 'bot') return 'assistant'
+    if (v === 'system') return 'system'
+  }
+  return null
+}
+
+function collect(el: HtmlElement, out: Piece[]): void {
+  for (const c of el.children) {
+    if (c.type !== 'element' || SKIP_TAGS.has(c.tag)) continue
+    const role = roleOf(c)
+    if (role) out.push({ kind: role, el: c })
+    else if (hasClass(c, USER_CLASS)) out.push({ kind: 'user', el: c })
+    else if (hasClass(c, THINK_CLASS)) out.push({ kind: 'reasoning', el: c })
+    else if (hasClass(c, ANSWER_CLASS)) out.push({ kind: 'assistant', el: c })
+    else if (hasClass(c, MESSAGE_CLASS) && !findAll(c, e => hasClass(e, ANSWER_CLASS) || hasClass(e, THINK_CLASS)).length) out.push({ kind: 'user', el: c })
+    else collect(c, out)
+  }
+}
+
+function languageOf(pre: HtmlElement): string {
+  for (const el of [pre, ...findAll(pre, e => e.tag === 'code')]) {
+    const m = classes(el).map(c => /^(?:language|lang)-(.+)$/.exec(c)).find(Boolean)
+    if (m) return m[1]
+  }
+  for (let p = pre.parent, depth = 0; p && depth < 3; p = p.parent, depth++) {
+    const label = findAll(p, e => hasClass(e, LANGUAGE_CLASS))[0]
+    if (label) return textOf(label).trim()
+  }
+  return ''
+}
+
+function ensureBreak(out: string[], lines: number): void {
+  let have = 0
+  for (let i = out.length - 1; i >= 0 && have < lines; i--) {
+    if (/^[ \t]*$/.test(out[i])) continue
+    const n = (/\n*$/.exec(out[i]) as RegExpExecArray)[0].length
+    have += n
+    if (n < out[i].length) break
+  }
+  if (out.length && have < lines) out.push('\n'.repeat(lines - have))
+}
+
+function render(node: HtmlNode, code: CodeBlock[], out: string[]): void {
+  if (node.type === 'comment') return
+  if (node.type === 'text') { out.push(node.text.replace(/\s+/g, ' ')); return }
+  if (SKIP_TAGS.has(node.tag) || hasClass(node, SKIP_CLASS) || node.attrs['aria-hidden'] === 'true') return
+  if (node.tag === 'br') { out.push('\n'); return }
+  if (node.tag === 'pre') {
+    const block = { language: languageOf(node), code: textOf(node).replace(/\n$/, '') }
+    code.push(block)
+    ensureBreak(out, 2)
+    out.push(`\`\`\`${block.language}\n${block.code}\n\`\`\``)
+    ensureBreak(out, 2)
+    return
+  }
+  const lines = PARAGRAPH_TAGS.has(node.tag) ? 2 : BLOCK_TAGS.has(node.tag) ? 1 : 0
+  if (lines) ensureBreak(out, lines)
+  if (node.tag === 'li') out.push(node.parent?.tag === 'ol' ? `${node.parent.children.filter(c => c.type === 'element' && c.tag === 'li').indexOf(node) + 1}. ` : '- ')
+  let cell = 0
+  for (const c of node.children) {
+    if (c.type === 'element' && (c.tag === 'td' || c.tag === 'th') && cell++) out.push(' | ')
+    render(c, code, out)
+  }
+  if (lines) ensureBreak(out, lines)
+}
+
+function textAndCode(els: HtmlElement[]): { text: string; code: CodeBlock[] } {
+  const code = [] as CodeBlock[]
+  const out = [] as string[]
+  for (const el of els) render(el, code, out)
+  const lines = [] as string[]
+  let fenced = false
+  for (const line of out.join('').split('\n')) {
+    const fence = line.trim().startsWith('```')
+    if (fence) fenced = !fenced
+    lines.push(fenced && !fence ? line : line.trim())
+  }
+  return { text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(), code }
+}
+
+export function parseDialogue(html: string): DialogueParse {
+  const pieces = [] as Piece[]
+  collect(parseHtml(html), pieces)
+  const groups = [] as Array<{ role: DialogueRole; answer: HtmlElement[]; reasoning: HtmlElement[] }>
+  for (const p of pieces) {
+    const last = groups[groups.length - 1]
+    if (p.kind === 'reasoning') {
+      if (last?.role === 'assistant' && !last.answer.length) last.reasoning.push(p.el)
+      else groups.push({ role: 'assistant', answer: [], reasoning: [p.el] })
+    } else if (p.kind === 'assistant' && last?.role === 'assistant') {
+      last.answer.push(p.el)
+    } else {
+      groups.push({ role: p.kind, answer: [p.el], reasoning: [] })
+    }
+  }
+  const turns = [] as DialogueTurn[]
+  for (const g of groups) {
+    const { text, code } = textAndCode(g.answer)
+    const reasoning = g.reasoning.length ? textAndCode(g.reasoning).text : ''
+    if (!text && !reasoning) continue
+    const turn: DialogueTurn = { index: turns.length, role: g.role, text, html: g.answer.map(serializeHtml).join('\n'), code }
+    if (reasoning) turn.reasoning = reasoning
+    turns.push(turn)
+  }
+  let reason: string | undefined
+  if (!pieces.length) reason = '未匹配到任何消息节点'
+  else if (!turns.some(t => t.role === 'user')) reason = '未识别到用户消息'
+  else if (!turns.some(t => t.role === 'assistant')) reason = '未识别到AI回答'
+  return { ok: !reason, turns, reason }
+}
+
+export async function captureDialogue(driver: Driver): Promise<DialogueParse & { html: string }> {
+  const html = await driver.evaluate<string>(`() => document.documentElement.outerHTML`)
+  return { ...parseDialogue(html || ''), html: html || '' }
+}
+
+export function formatDialogue(turns: DialogueTurn[]): string {
+  const label: Record<DialogueRole, string> = { user: '用户', assistant: 'AI', system: '系统' }
+  return turns.map(t => `${t.reasoning ? `AI思考: ${t.reasoning}\n` : ''}${label[t.role]}: ${t.text}`).join('\n\n')
+}
@@ -0,0 +1,292 @@
+import fs from 'fs'
+import path from 'path'
+import { CdpConnection } from './cdp.js'
+
+export type SnapshotBox = [number, number, number, number]
+export type SnapshotNode = {
+  id: number
+  type: number
+  name: string
+  value?: string
+  attrs?: Record<string, string>
+  shadowRoot?: string
+  pseudo?: string
+  inputValue?: string
+  checked?: boolean
+  selected?: boolean
+  clickable?: boolean
+  box?: SnapshotBox
+  visible: boolean
+  style?: Record<string, string>
+  children?: SnapshotNode[]
+  frame?: SnapshotDocument
+}
+export type SnapshotDocument = {
+  url: string
+  title: string
+  frameId: string
+  scroll: { x: number; y: number }
+  size: { width: number; height: number }
+  root: SnapshotNode
+}
+export type SnapshotStats = { documents: number; nodes: number; visible: number; shadowRoots: number; frames: number }
+export type DomSnapshot = {
+  format: 'dom-snapshot'
+  version: 1
+  capturedAt: string
+  url: string
+  title: string
+  styles: string[]
+  stats: SnapshotStats
+  document: SnapshotDocument
+}
+export type SnapshotHtmlOptions = { visibleOnly?: boolean }
+
+const SNAPSHOT_STYLES = ['display', 'visibility', 'opacity']
+const SNAPSHOT_TIMEOUT_MS = parseInt(process.env.SNAPSHOT_TIMEOUT_MS || '60000', 10)
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'xmp', 'noembed', 'noframes'])
+const TEXT_SKIP = new Set(['script', 'style', 'noscript', 'template', 'head'])
+
+function rareStrings(data: any, strings: string[]): Map<number, string> {
+  const out = new Map<number, string>()
+  const index: number[] = data?.index || []
+  index.forEach((n, i) => { if (data.value[i] >= 0) out.set(n, strings[data.value[i]]) })
+  return out
+}
+
+function rareInts(data: any): Map<number, number> {
+  const out = new Map<number, number>()
+  const index: number[] = data?.index || []
+  index.forEach((n, i) => out.set(n, data.value[i]))
+  return out
+}
+
+function rareFlags(data: any): Set<number> {
+  return new Set<number>(data?.index || [])
+}
+
+function styleVisible(style: Record<string, string>): boolean {
+  if (style.display === 'none') return false
+  if (style.visibility === 'hidden' || style.visibility === 'collapse') return false
+  return true
+}
+
+function decodeDocuments(raw: any): { documents: SnapshotDocument[]; stats: SnapshotStats } {
+  const strings: string[] = raw?.strings || []
+  const str = (i: number | undefined) => (typeof i === 'number' && i >= 0 ? strings[i] ?? '' : '')
+  const docs: any[] = raw?.documents || []
+  const stats: SnapshotStats = { documents: docs.length, nodes: 0, visible: 0, shadowRoots: 0, frames: 0 }
+  const built = docs.map(d => {
+    const nodes = d.nodes || {}
+    const count: number = (nodes.nodeType || []).length
+    const shadow = rareStrings(nodes.shadowRootType, strings)
+    const pseudo = rareStrings(nodes.pseudoType, strings)
+    const textValue = rareStrings(nodes.textValue, strings)
+    const inputValue = rareStrings(nodes.inputValue, strings)
+    const checked = rareFlags(nodes.inputChecked)
+    const selected = rareFlags(nodes.optionSelected)
+    const clickable = rareFlags(nodes.isClickable)
+    const layout = new Map<number, { box: SnapshotBox; style: Record<string, string> }>()
+    const layoutNodes: number[] = d.layout?.nodeIndex || []
+    layoutNodes.forEach((n, i) => {
+      const b: number[] = d.layout.bounds?.[i] || []
+      const style = {} as Record<string, string>
+      ;(d.layout.styles?.[i] || []).forEach((s: number, k: number) => { if (SNAPSHOT_STYLES[k]) style[SNAPSHOT_STYLES[k]] = str(s) })
+      if (!layout.has(n)) layout.set(n, { box: [b[0] || 0, b[1] || 0, b[2] || 0, b[3] || 0], style })
+    })
+    const list = [] as SnapshotNode[]
+    for (let i = 0; i < count; i++) {
+      const node: SnapshotNode = { id: nodes.backendNodeId?.[i] ?? 0, type: nodes.nodeType[i], name: str(nodes.nodeName?.[i]), visible: false }
+      const value = str(nodes.nodeValue?.[i])
+      if (value) node.value = value
+      const attrs: number[] = nodes.attributes?.[i] || []
+      if (attrs.length) {
+        node.attrs = {}
+        for (let k = 0; k + 1 < attrs.length; k += 2) node.attrs[str(attrs[k])] = str(attrs[k + 1])
+      }
+      if (shadow.has(i)) { node.shadowRoot = shadow.get(i); stats.shadowRoots++ }
+      if (pseudo.has(i)) node.pseudo = pseudo.get(i)
+      if (inputValue.has(i) || textValue.has(i)) node.inputValue = inputValue.get(i) ?? textValue.get(i)
+      if (checked.has(i)) node.checked = true
+      if (selected.has(i)) node.selected = true
+      if (clickable.has(i)) node.clickable = true
+      const l = layout.get(i)
+      if (l) {
+        node.box = l.box
+        if (Object.keys(l.style).length) node.style = l.style
+      }
+      list.push(node)
+    }
+    let root: SnapshotNode | null = null
+    const parents: number[] = nodes.parentIndex || []
+    for (let i = 0; i < count; i++) {
+      const p = parents[i]
+      if (p === undefined || p < 0) { root = root || list[i]; continue }
+      const parent = list[p]
+      ;(parent.children || (parent.children = [])).push(list[i])
+    }
+    return {
+      doc: {
+        url: str(d.documentURL),
+        title: str(d.title),
+        frameId: str(d.frameId),
+        scroll: { x: d.scrollOffsetX || 0, y: d.scrollOffsetY || 0 },
+        size: { width: d.contentWidth || 0, height: d.contentHeight || 0 },
+        root: root || { id: 0, type: 9, name: '#document', visible: false }
+      } as SnapshotDocument,
+      list,
+      frames: rareInts(nodes.contentDocumentIndex)
+    }
+  })
+  built.forEach(b => {
+    for (const [node, docIndex] of b.frames) {
+      if (!built[docIndex]) continue
+      b.list[node].frame = built[docIndex].doc
+      stats.frames++
+    }
+  })
+  for (const b of built) stats.nodes += b.list.length
+  const documents = built.map(b => b.doc)
+  if (documents[0]) stats.visible = markVisible(documents[0].root, false)
+  return { documents, stats }
+}
+
+function markVisible(node: SnapshotNode, faded: boolean): number {
+  let count = 0
+  const laidOut = node.type === 1 || node.type === 3
+  const style = node.style || {}
+  const fades = faded || style.opacity === '0'
+  if (laidOut) {
+    const [, , w, h] = node.box || [0, 0, 0, 0]
+    node.visible = !!node.box && !fades && styleVisible(style) && (node.type === 3 || w > 0 || h > 0)
+  } else {
+    node.visible = !faded && node.type !== 8 && node.type !== 10
+  }
+  if (node.visible && laidOut) count++
+  for (const c of node.children || []) count += markVisible(c, fades)
+  if (node.frame) count += markVisible(node.frame.root, fades || !node.visible)
+  return count
+}
+
+export async function captureDomSnapshot(conn: CdpConnection): Promise<DomSnapshot> {
+  await conn.call('DOMSnapshot.enable', {}).catch(() => {})
+  const r = await conn.call('DOMSnapshot.captureSnapshot', { computedStyles: SNAPSHOT_STYLES, includeDOMRects: true, includePaintOrder: false }, { timeout: SNAPSHOT_TIMEOUT_MS, idempotent: true })
+  if (!r?.result?.documents?.length) throw new Error(`DOMSnapshot.captureSnapshot 无结果: ${JSON.stringify(r?.error || r?.result || {}).slice(0, 200)}`)
+  const { documents, stats } = decodeDocuments(r.result)
+  const main = documents[0]
+  return { format: 'dom-snapshot', version: 1, capturedAt: new Date().toISOString(), url: main.url, title: main.title, styles: SNAPSHOT_STYLES, stats, document: main }
+}
+
+export function isDomSnapshot(v: any): v is DomSnapshot {
+  return !!v && v.format === 'dom-snapshot' && v.document && typeof v.document === 'object'
+}
+
+export function readDomSnapshot(filePath: string): DomSnapshot {
+  const data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'))
+  if (!isDomSnapshot(data)) throw new Error(`不是DOM快照文件: ${filePath}`)
+  return data
+}
+
+export function writeDomSnapshot(filePath: string, snapshot: DomSnapshot): string {
+  const abs = path.resolve(filePath)
+  try { fs.mkdirSync(path.dirname(abs), { recursive: true }) } catch {}
+  fs.writeFileSync(abs, JSON.stringify(snapshot), 'utf8')
+  return abs
+}
+
+function escapeText(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+function escapeAttr(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+function hasVisible(node: SnapshotNode): boolean {
+  if (node.visible && (node.type === 1 || node.type === 3)) return true
+  return (node.children || []).some(hasVisible) || (!!node.frame && hasVisible(node.frame.root))
+}
+
+function findElement(node: SnapshotNode, name: string): SnapshotNode | null {
+  if (node.type === 1 && node.name.toLowerCase() === name) return node
+  for (const c of node.children || []) {
+    if (c.type === 11) continue
+    const hit = findElement(c, name)
+    if (hit) return hit
+  }
+  return null
+}
+
+function serialize(node: SnapshotNode, options: SnapshotHtmlOptions, out: string[]): void {
+  if (node.pseudo || node.type === 8 || node.type === 10) return
+  if (options.visibleOnly && !hasVisible(node)) return
+  if (node.type === 3) { out.push(escapeText(node.value || '')); return }
+  if (node.type === 11) {
+    if (node.shadowRoot === 'user-agent') return
+    out.push(`<template shadowrootmode="${node.shadowRoot || 'open'}">`)
+    for (const c of node.children || []) serialize(c, options, out)
+    out.push('</template>')
+    return
+  }
+  if (node.type !== 1) {
+    for (const c of node.children || []) serialize(c, options, out)
+    return
+  }
+  const tag = node.name.toLowerCase()
+  const attrs = { ...(node.attrs || {}) }
+  if (node.inputValue !== undefined && tag !== 'textarea') attrs.value = node.inputValue
+  if (node.checked) attrs.checked = ''
+  if (node.selected) attrs.selected = ''
+  if (node.frame) {
+    attrs['data-snapshot-frame'] = node.frame.url
+    delete attrs.srcdoc
+  }
+  const attrText = Object.entries(attrs).map(([k, v]) => (v === '' ? ` ${k}` : ` ${k}="${escapeAttr(v)}"`)).join('')
+  if (node.frame) {
+    out.push(`<div${attrText}>`)
+    const body = findElement(node.frame.root, 'body') || findElement(node.frame.root, 'html')
+    for (const c of body?.children || []) serialize(c, options, out)
+    out.push('</div>')
+    return
+  }
+  out.push(`<${tag}${attrText}>`)
+  if (VOID_ELEMENTS.has(tag)) return
+  const children = node.children || []
+  for (const c of children.filter(c => c.type === 11)) serialize(c, options, out)
+  if (tag === 'textarea' && node.inputValue !== undefined) out.push(escapeText(node.inputValue))
+  else if (RAW_TEXT_ELEMENTS.has(tag)) for (const c of children) { if (c.type === 3) out.push(c.value || '') }
+  else for (const c of children.filter(c => c.type !== 11)) serialize(c, options, out)
+  out.push(`</${tag}>`)
+}
+
+export function snapshotToHtml(snapshot: DomSnapshot, options: SnapshotHtmlOptions = {}): string {
+  const out = ['<!DOCTYPE html>']
+  const root = snapshot.document.root
+  const html = findElement(root, 'html')
+  if (options.visibleOnly && html) {
+    out.push(`<html${html.attrs?.lang ? ` lang="${escapeAttr(html.attrs.lang)}"` : ''}><head><title>${escapeText(snapshot.title)}</title></head>`)
+    const body = findElement(html, 'body')
+    if (body) serialize(body, options, out)
+    out.push('</html>')
+  } else {
+    serialize(root, options, out)
+  }
+  return out.join('')
+}
+
+export function snapshotText(node: SnapshotNode): string {
+  const out = [] as string[]
+  const walk = (n: SnapshotNode) => {
+    if (n.pseudo || n.type === 8) return
+    if (n.type === 1 && TEXT_SKIP.has(n.name.toLowerCase())) return
+    if (n.type === 3) { if (n.visible && n.value) out.push(n.value); return }
+    if (n.type === 11 && n.shadowRoot === 'user-agent') return
+    if (n.inputValue && n.visible) out.push(n.inputValue)
+    if (n.inputValue !== undefined && n.name.toLowerCase() === 'textarea') return
+    for (const c of n.children || []) walk(c)
+    if (n.frame) walk(n.frame.root)
+  }
+  walk(node)
+  return out.join(' ').replace(/\s+/g, ' ').trim()
+}
@@ -0,0 +1,137 @@
+import { argValue } from './args.js'
+import { ConnectMode, connectPage } from './browser.js'
+import { CdpConnection } from './cdp.js'
+import { clearFocused, focusNode, InputOptions, typeText } from './input.js'
+import { ClickResult, clickLocator, clickNode, describeSpec, formatAttempts, locate, LocateOptions, LocatorAttempt, LocatorSpec } from './locator.js'
+import { CdpTarget, listTargets } from './targets.js'
+import { waitForLifecycle } from './wait.js'
+
+export type DriverName = 'cdp' | 'mcp' | 'selenium'
+export type TabInfo = { id: string; title: string; url: string; active: boolean }
+export type ElementTarget = string | LocatorSpec
+export type ScreenshotOptions = { fullPage?: boolean }
+export type DriverOptions = { timeout?: number; mode?: ConnectMode; input?: InputOptions; front?: boolean }
+
+export interface Driver {
+  readonly name: DriverName
+  readonly base: string
+  navigate(url: string): Promise<void>
+  evaluate<T = any>(fn: string, ...args: any[]): Promise<T>
+  click(target: ElementTarget): Promise<void>
+  type(target: ElementTarget, text: string): Promise<void>
+  screenshot(options?: ScreenshotOptions): Promise<Buffer>
+  tabs(): Promise<TabInfo[]>
+  cdp(): Promise<CdpConnection>
+  close(): Promise<void>
+}
+
+export const DRIVER_NAMES: DriverName[] = ['cdp', 'mcp', 'selenium']
+const DRIVER_TIMEOUT_MS = parseInt(process.env.CDP_TIMEOUT_MS || '10000', 10)
+
+export function resolveDriverName(argv: string[] = process.argv.slice(2), fallback: DriverName = 'cdp'): DriverName {
+  const v = (argValue(argv, 'driver', process.env.DRIVER || fallback) as string).toLowerCase()
+  if (!DRIVER_NAMES.includes(v as DriverName)) throw new Error(`--driver 仅支持 ${DRIVER_NAMES.join(' / ')}: ${v}`)
+  return v as DriverName
+}
+
+export function toSpec(target: ElementTarget): LocatorSpec {
+  return typeof target === 'string' ? { name: target, css: target, frames: true } : target
+}
+
+export function wrapFunction(fn: string, args: any[]): string {
+  return `(${fn})(...${JSON.stringify(args)})`
+}
+
+export async function tabsOf(base: string, activeId?: string): Promise<TabInfo[]> {
+  return (await listTargets(base)).filter(t => t.type === 'page').map(t => ({ id: t.id, title: t.title || '', url: t.url, active: t.id === activeId }))
+}
+
+export class CdpDriver implements Driver {
+  readonly name = 'cdp' as const
+  base: string
+  target: CdpTarget
+  conn: CdpConnection
+  input: InputOptions
+
+  constructor(base: string, target: CdpTarget, conn: CdpConnection, input: InputOptions = {}) {
+    this.base = base
+    this.target = target
+    this.conn = conn
+    this.input = input
+  }
+
+  static async open(base: string, target: CdpTarget, options: DriverOptions): Promise<CdpDriver> {
+    const conn = await connectPage(base, target, { timeout: options.timeout, mode: options.mode })
+    await conn.call('Runtime.enable', {})
+    await conn.call('DOM.enable', {})
+    await conn.call('Page.enable', {})
+    await conn.call('Accessibility.enable', {})
+    if (options.front) await conn.call('Page.bringToFront', {})
+    return new CdpDriver(base, target, conn, options.input)
+  }
+
+  async navigate(url: string): Promise<void> {
+    await this.conn.call('Page.navigate', { url })
+    await waitForLifecycle(this.conn, 'load').catch(() => {})
+  }
+
+  async evaluate<T = any>(fn: string, ...args: any[]): Promise<T> {
+    const r = await this.conn.call('Runtime.evaluate', { expression: wrapFunction(fn, args), awaitPromise: true, returnByValue: true })
+    if (r?.result?.exceptionDetails) throw new Error(r.result.exceptionDetails?.exception?.description || r.result.exceptionDetails.text || 'page exception')
+    return r?.result?.result?.value as T
+  }
+
+  async click(target: ElementTarget): Promise<void> {
+    const r = await clickLocator(this.conn, toSpec(target), this.input)
+    if (!r.ok) throw new Error(`点击失败: ${formatAttempts(r.attempts || [])}`)
+  }
+
+  async type(target: ElementTarget, text: string): Promise<void> {
+    const found = await locate(this.conn, toSpec(target))
+    if (!found.ok || !found.node) throw new Error(`未找到输入元素: ${formatAttempts(found.attempts)}`)
+    const c = await clickNode(this.conn, found.node, this.input)
+    if (!c.ok) await focusNode(this.conn, found.node)
+    await clearFocused(this.conn, this.input)
+    await typeText(this.conn, text, this.input)
+  }
+
+  async screenshot(options: ScreenshotOptions = {}): Promise<Buffer> {
+    const r = await this.conn.call('Page.captureScreenshot', { format: 'png', captureBeyondViewport: !!options.fullPage }, { timeout: 60000 })
+    const data = r?.result?.data
+    if (typeof data !== 'string') throw new Error('截图失败: 无数据')
+    return Buffer.from(data, 'base64')
+  }
+
+  async tabs(): Promise<TabInfo[]> {
+    return await tabsOf(this.base, this.target.id)
+  }
+
+  async cdp(): Promise<CdpConnection> {
+    return this.conn
+  }
+
+  async close(): Promise<void> {
+    this.conn.close()
+  }
+}
+
+export async function clickFirst(driver: Driver, specs: LocatorSpec[], options: LocateOptions = {}): Promise<ClickResult> {
+  if (driver instanceof CdpDriver) return await clickLocator(driver.conn, specs, { ...options, ...driver.input })
+  const attempts = [] as LocatorAttempt[]
+  for (const spec of specs) {
+    try {
+      await driver.click(spec)
+      return { ok: true, via: driver.name, strategy: describeSpec(spec), attempts }
+    } catch (e: any) {
+      attempts.push({ strategy: `${driver.name}:${describeSpec(spec)}`, ok: false, count: 0, reason: e?.message || String(e) })
+    }
+  }
+  return { ok: false, attempts }
+}
+
+export async function openDriver(name: DriverName, base: string, target: CdpTarget, options: DriverOptions = {}): Promise<Driver> {
+  const opts = { ...options, timeout: options.timeout || DRIVER_TIMEOUT_MS }
+  if (name === 'mcp') return await (await import('./mcp.js')).McpDriver.open(base, target, opts)
+  if (name === 'selenium') return await (await import('./selenium.js')).SeleniumDriver.open(base, target, opts)
+  return await CdpDriver.open(base, target, opts)
+}
@@ -0,0 +1,77 @@
+import { CdpConnection } from './cdp.js'
+
+export type ChildFrameTarget = { sessionId: string; targetId: string; url: string; parentSessionId?: string }
+
+const AUTO_ATTACH = { autoAttach: true, waitForDebuggerOnStart: false, flatten: true }
+const AUTO_ATTACH_SETTLE_MS = parseInt(process.env.OOPIF_SETTLE_MS || '100', 10)
+
+export class OopifTracker {
+  conn: CdpConnection
+  children = new Map<string, ChildFrameTarget>()
+  private started: Promise<void> | null = null
+
+  constructor(conn: CdpConnection) {
+    this.conn = conn
+    conn.on('Target.attachedToTarget', (p, message) => {
+      const info = p?.targetInfo
+      if (!p?.sessionId || info?.type !== 'iframe') return
+      const parent = message?.sessionId && this.children.has(message.sessionId) ? message.sessionId : undefined
+      this.children.set(p.sessionId, { sessionId: p.sessionId, targetId: info.targetId, url: info.url || '', parentSessionId: parent })
+      conn.call('Target.setAutoAttach', AUTO_ATTACH, { sessionId: p.sessionId }).catch(() => {})
+    })
+    conn.on('Target.detachedFromTarget', p => { if (p?.sessionId) this.children.delete(p.sessionId) })
+    conn.on('Target.targetInfoChanged', p => {
+      for (const c of this.children.values()) if (c.targetId === p?.targetInfo?.targetId) c.url = p.targetInfo.url || c.url
+    })
+    conn.on('reconnected', () => { this.children.clear(); this.started = null })
+  }
+
+  start(): Promise<void> {
+    if (!this.started) {
+      this.started = this.conn.call('Target.setAutoAttach', AUTO_ATTACH)
+        .then(() => new Promise<void>(res => setTimeout(res, AUTO_ATTACH_SETTLE_MS)))
+        .catch(e => { this.started = null; throw e })
+    }
+    return this.started
+  }
+
+  async list(): Promise<ChildFrameTarget[]> {
+    await this.start()
+    return Array.from(this.children.values())
+  }
+
+  async offsetOf(sessionId: string): Promise<{ x: number; y: number }> {
+    const child = this.children.get(sessionId)
+    if (!child) return { x: 0, y: 0 }
+    const parent = child.parentSessionId ? await this.offsetOf(child.parentSessionId) : { x: 0, y: 0 }
+    const opts = child.parentSessionId ? { sessionId: child.parentSessionId } : {}
+    try {
+      const owner = await this.conn.call('DOM.getFrameOwner', { frameId: child.targetId }, opts)
+      const backendNodeId = owner?.result?.backendNodeId
+      const bm = backendNodeId ? await this.conn.call('DOM.getBoxModel', { backendNodeId }, opts) : null
+      const q = bm?.result?.model?.content
+      if (q && q.length >= 8) return { x: parent.x + Math.min(q[0], q[6]), y: parent.y + Math.min(q[1], q[3]) }
+    } catch {}
+    return parent
+  }
+}
+
+const trackers = new WeakMap<CdpConnection, OopifTracker>()
+
+export function oopifTracker(conn: CdpConnection): OopifTracker {
+  let t = trackers.get(conn)
+  if (!t) { t = new OopifTracker(conn); trackers.set(conn, t) }
+  return t
+}
+
+export async function childFrameIds(conn: CdpConnection, sessionId?: string): Promise<string[]> {
+  const ft = await conn.call('Page.getFrameTree', {}, sessionId ? { sessionId } : {})
+  const frames = [] as string[]
+  const stack = (ft?.result?.frameTree?.childFrames || []).slice()
+  while (stack.length) {
+    const n = stack.pop()
+    if (n?.frame?.id) frames.push(n.frame.id)
+    for (const c of n?.childFrames || []) stack.push(c)
+  }
+  return frames
+}
@@ -0,0 +1,127 @@
+export type HtmlElement = { type: 'element'; tag: string; attrs: Record<string, string>; children: HtmlNode[]; parent: HtmlElement | null }
+export type HtmlText = { type: 'text'; text: string }
+export type HtmlComment = { type: 'comment'; text: string }
+export type HtmlNode = HtmlElement | HtmlText | HtmlComment
+
+export const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'])
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'xmp'])
+const TAG_PATTERN = /<([a-zA-Z][\w:-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y
+const CLOSE_PATTERN = /<\/([a-zA-Z][\w:-]*)\s*>/y
+const ATTR_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+const AUTO_CLOSE: Record<string, string[]> = { li: ['li'], p: ['p'], dt: ['dt', 'dd'], dd: ['dt', 'dd'], tr: ['tr'], td: ['td', 'th'], th: ['td', 'th'], option: ['option'] }
+
+function parseAttrs(raw: string): Record<string, string> {
+  const out = {} as Record<string, string>
+  for (const m of raw.matchAll(ATTR_PATTERN)) {
+    const name = m[1].toLowerCase()
+    if (!(name in out)) out[name] = m[2] ?? m[3] ?? m[4] ?? ''
+  }
+  return out
+}
+
+export function decodeEntities(s: string): string {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e: string) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10)
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : m
+    }
+    return ENTITIES[e.toLowerCase()] ?? m
+  })
+}
+
+export function escapeHtmlText(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+export function escapeHtmlAttr(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+export function parseHtml(html: string): HtmlElement {
+  const root: HtmlElement = { type: 'element', tag: '#root', attrs: {}, children: [], parent: null }
+  let cur = root
+  let text = ''
+  const flush = () => {
+    if (text) cur.children.push({ type: 'text', text: decodeEntities(text) })
+    text = ''
+  }
+  const close = (tag: string) => {
+    for (let n: HtmlElement | null = cur; n && n !== root; n = n.parent) {
+      if (n.tag === tag) { cur = n.parent || root; return }
+    }
+  }
+  let i = 0
+  while (i < html.length) {
+    const lt = html.indexOf('<', i)
+    if (lt < 0) { text += html.slice(i); break }
+    text += html.slice(i, lt)
+    i = lt
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4)
+      flush()
+      cur.children.push({ type: 'comment', text: html.slice(i + 4, end < 0 ? html.length : end) })
+      i = end < 0 ? html.length : end + 3
+      continue
+    }
+    if (html.startsWith('<!', i) || html.startsWith('<?', i)) {
+      const end = html.indexOf('>', i)
+      i = end < 0 ? html.length : end + 1
+      continue
+    }
+    CLOSE_PATTERN.lastIndex = i
+    const c = CLOSE_PATTERN.exec(html)
+    if (c) {
+      flush()
+      close(c[1].toLowerCase())
+      i = CLOSE_PATTERN.lastIndex
+      continue
+    }
+    TAG_PATTERN.lastIndex = i
+    const m = TAG_PATTERN.exec(html)
+    if (!m) { text += '<'; i++; continue }
+    flush()
+    i = TAG_PATTERN.lastIndex
+    const tag = m[1].toLowerCase()
+    for (const t of AUTO_CLOSE[tag] || []) if (cur.tag === t) cur = cur.parent || root
+    const el: HtmlElement = { type: 'element', tag, attrs: parseAttrs(m[2]), children: [], parent: cur }
+    cur.children.push(el)
+    if (VOID_TAGS.has(tag) || m[3]) continue
+    if (RAW_TEXT_TAGS.has(tag)) {
+      const closing = new RegExp(`</${tag}`, 'ig')
+      closing.lastIndex = i
+      const end = closing.exec(html)?.index ?? -1
+      const body = html.slice(i, end < 0 ? html.length : end)
+      if (body) el.children.push({ type: 'text', text: tag === 'script' || tag === 'style' ? body : decodeEntities(body) })
+      i = end < 0 ? html.length : html.indexOf('>', end) + 1 || html.length
+      continue
+    }
+    cur = el
+  }
+  flush()
+  return root
+}
+
+export function textOf(node: HtmlNode): string {
+  if (node.type === 'text') return node.text
+  if (node.type === 'comment') return ''
+  return node.children.map(textOf).join('')
+}
+
+export function serializeHtml(node: HtmlNode): string {
+  if (node.type === 'text') return escapeHtmlText(node.text)
+  if (node.type === 'comment') return `<!--${node.text}-->`
+  const inner = node.children.map(serializeHtml).join('')
+  if (node.tag === '#root') return inner
+  const attrs = Object.entries(node.attrs).map(([k, v]) => (v === '' ? ` ${k}` : ` ${k}="${escapeHtmlAttr(v)}"`)).join('')
+  if (VOID_TAGS.has(node.tag)) return `<${node.tag}${attrs}>`
+  return `<${node.tag}${attrs}>${inner}</${node.tag}>`
+}
+
+export function walkElements(node: HtmlElement, fn: (el: HtmlElement) => boolean | void): void {
+  for (const c of node.children) {
+    if (c.type !== 'element') continue
+    if (fn(c) === false) continue
+    walkElements(c, fn)
+  }
+}
@@ -0,0 +1,109 @@
+import { CdpConnection } from './cdp.js'
+import { argValue, hasFlag } from './args.js'
+
+export type InputOptions = { trusted?: boolean; human?: boolean; minDelay?: number; maxDelay?: number }
+export type KeyName = 'Enter' | 'Backspace' | 'Delete' | 'Tab' | 'Escape' | 'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight' | 'Home' | 'End' | 'a'
+
+export const MODIFIERS = { alt: 1, ctrl: 2, meta: 4, shift: 8 }
+
+const KEYS: Record<KeyName, { code: string; keyCode: number; text?: string }> = {
+  Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  Tab: { code: 'Tab', keyCode: 9 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  a: { code: 'KeyA', keyCode: 65, text: 'a' }
+}
+
+const MIN_DELAY_MS = parseInt(process.env.INPUT_MIN_DELAY_MS || '40', 10)
+const MAX_DELAY_MS = parseInt(process.env.INPUT_MAX_DELAY_MS || '120', 10)
+
+const positions = new WeakMap<CdpConnection, { x: number; y: number }>()
+
+export function resolveInputOptions(argv: string[] = process.argv.slice(2)): InputOptions {
+  const human = hasFlag(argv, 'human') || process.env.HUMAN_INPUT === '1'
+  const trusted = human || hasFlag(argv, 'trusted') || process.env.TRUSTED_INPUT === '1'
+  return {
+    trusted,
+    human,
+    minDelay: parseInt(argValue(argv, 'min-delay', `${MIN_DELAY_MS}`) as string, 10),
+    maxDelay: parseInt(argValue(argv, 'max-delay', `${MAX_DELAY_MS}`) as string, 10)
+  }
+}
+
+export async function pause(options: InputOptions = {}, scale = 1): Promise<void> {
+  if (!options.human) return
+  const min = typeof options.minDelay === 'number' ? options.minDelay : MIN_DELAY_MS
+  const max = Math.max(min, typeof options.maxDelay === 'number' ? options.maxDelay : MAX_DELAY_MS)
+  const ms = Math.round((min + Math.random() * (max - min)) * scale)
+  if (ms > 0) await new Promise(res => setTimeout(res, ms))
+}
+
+export async function moveMouse(conn: CdpConnection, x: number, y: number, options: InputOptions = {}): Promise<void> {
+  const from = positions.get(conn)
+  const steps = options.human && from ? Math.max(2, Math.min(25, Math.round(Math.hypot(x - from.x, y - from.y) / 40))) : 1
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps
+    const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2
+    const px = from && steps > 1 ? from.x + (x - from.x) * ease : x
+    const py = from && steps > 1 ? from.y + (y - from.y) * ease : y
+    await conn.call('Input.dispatchMouseEvent', { type: 'mouseMoved', x: Math.round(px), y: Math.round(py) })
+    if (steps > 1) await pause(options, 0.15)
+  }
+  positions.set(conn, { x, y })
+}
+
+export async function clickAt(conn: CdpConnection, x: number, y: number, options: InputOptions = {}): Promise<void> {
+  await moveMouse(conn, x, y, options)
+  await pause(options)
+  await conn.call('Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button: 'left', buttons: 1, clickCount: 1 })
+  await pause(options, 0.5)
+  await conn.call('Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button: 'left', buttons: 0, clickCount: 1 })
+}
+
+export async function pressKey(conn: CdpConnection, key: KeyName, options: InputOptions & { modifiers?: number; commands?: string[] } = {}): Promise<void> {
+  const def = KEYS[key]
+  const modifiers = options.modifiers || 0
+  const text = modifiers & (MODIFIERS.ctrl | MODIFIERS.meta | MODIFIERS.alt) ? undefined : def.text
+  const base = { key, code: def.code, windowsVirtualKeyCode: def.keyCode, nativeVirtualKeyCode: def.keyCode, modifiers }
+  await conn.call('Input.dispatchKeyEvent', { ...base, type: text ? 'keyDown' : 'rawKeyDown', text, unmodifiedText: text, commands: options.commands })
+  await pause(options, 0.3)
+  await conn.call('Input.dispatchKeyEvent', { ...base, type: 'keyUp' })
+}
+
+export async function insertText(conn: CdpConnection, text: string, options: InputOptions = {}): Promise<void> {
+  if (!options.human) {
+    if (text) await conn.call('Input.insertText', { text })
+    return
+  }
+  for (const ch of Array.from(text)) {
+    await conn.call('Input.insertText', { text: ch })
+    await pause(options, 0.5)
+  }
+}
+
+export async function typeText(conn: CdpConnection, text: string, options: InputOptions & { newline?: 'shift-enter' | 'insert' } = {}): Promise<void> {
+  const lines = text.split(/\r?\n/)
+  for (let i = 0; i < lines.length; i++) {
+    if (i > 0) {
+      if (options.newline === 'insert') await insertText(conn, '\n', options)
+      else await pressKey(conn, 'Enter', { ...options, modifiers: MODIFIERS.shift })
+    }
+    await insertText(conn, lines[i], options)
+  }
+}
+
+export async function clearFocused(conn: CdpConnection, options: InputOptions = {}): Promise<void> {
+  await pressKey(conn, 'a', { ...options, modifiers: process.platform === 'darwin' ? MODIFIERS.meta : MODIFIERS.ctrl, commands: ['selectAll'] })
+  await pressKey(conn, 'Backspace', options)
+}
+
+export async function focusNode(conn: CdpConnection, node: { backendNodeId: number; sessionId?: string }): Promise<void> {
+  await conn.call('DOM.focus', { backendNodeId: node.backendNodeId }, node.sessionId ? { sessionId: node.sessionId } : {})
+}
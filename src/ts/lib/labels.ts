@@ -0,0 +1,138 @@
+import fs from 'fs'
+import path from 'path'
+import type { Driver } from './driver.js'
+
+export type LabelAction = 'newChat' | 'send' | 'moreMenu' | 'delete' | 'confirm' | 'sidebarToggle' | 'placeholder' | 'stop' | 'copy' | 'regenerate' | 'uploading' | 'uploadFailed' | 'deepThink' | 'search'
+export type LabelProfile = { lang: string } & Record<LabelAction, string[]>
+export type LocaleFile = Partial<Record<LabelAction, string | string[]>>
+
+export const LABEL_ACTIONS: LabelAction[] = ['newChat', 'send', 'moreMenu', 'delete', 'confirm', 'sidebarToggle', 'placeholder', 'stop', 'copy', 'regenerate', 'uploading', 'uploadFailed', 'deepThink', 'search']
+export const LABELS_DIR = process.env.LABELS_DIR || path.join(process.cwd(), 'locales')
+
+const BUILTIN: LabelProfile[] = [
+  {
+    lang: 'zh',
+    newChat: ['开启新对话', '新对话', '新建对话'],
+    send: ['发送'],
+    moreMenu: ['更多', '菜单'],
+    delete: ['删除'],
+    confirm: ['删除', '确认', '确定'],
+    sidebarToggle: ['打开边栏', '收起边栏', '侧边栏', '菜单'],
+    placeholder: ['输入', '消息', '发送'],
+    stop: ['停止生成', '停止'],
+    copy: ['复制'],
+    regenerate: ['重新生成'],
+    uploading: ['上传中', '解析中', '处理中'],
+    uploadFailed: ['上传失败', '解析失败', '不支持', '文件过大', '超出'],
+    deepThink: ['深度思考'],
+    search: ['联网搜索', '智能搜索']
+  },
+  {
+    lang: 'en',
+    newChat: ['New chat'],
+    send: ['Send'],
+    moreMenu: ['More', 'Menu'],
+    delete: ['Delete'],
+    confirm: ['Delete', 'Confirm', 'OK'],
+    sidebarToggle: ['Open sidebar', 'Close sidebar', 'Sidebar', 'Menu'],
+    placeholder: ['message', 'chat', 'send'],
+    stop: ['Stop generating', 'Stop'],
+    copy: ['Copy'],
+    regenerate: ['Regenerate'],
+    uploading: ['Uploading', 'Parsing', 'Processing'],
+    uploadFailed: ['Upload failed', 'Failed to parse', 'not supported', 'Unsupported', 'too large', 'exceeds'],
+    deepThink: ['DeepThink'],
+    search: ['Search']
+  }
+]
+
+let cache: Map<string, LabelProfile> | null = null
+
+function normLang(lang: string): string {
+  return lang.trim().toLowerCase().replace(/_/g, '-')
+}
+
+function uniq(xs: string[]): string[] {
+  return Array.from(new Set(xs.filter(Boolean)))
+}
+
+function readLocaleFile(file: string): LocaleFile {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`语言文件格式错误: ${file}`)
+  const out: LocaleFile = {}
+  for (const action of LABEL_ACTIONS) {
+    const v = raw[action]
+    if (v === undefined) continue
+    if (typeof v !== 'string' && !(Array.isArray(v) && v.every(x => typeof x === 'string'))) throw new Error(`语言文件 ${file} 中 ${action} 必须是字符串或字符串数组`)
+    out[action] = v
+  }
+  return out
+}
+
+export function loadProfiles(dir = LABELS_DIR): Map<string, LabelProfile> {
+  const profiles = new Map<string, LabelProfile>()
+  for (const p of BUILTIN) profiles.set(p.lang, { ...p })
+  let files: string[] = []
+  try { files = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.json')) } catch {}
+  for (const f of files) {
+    const lang = normLang(path.basename(f, path.extname(f)))
+    const user = readLocaleFile(path.join(dir, f))
+    const base = profiles.get(lang) || profiles.get(lang.split('-')[0]) || profiles.get('en')
+    const merged = { lang } as LabelProfile
+    for (const action of LABEL_ACTIONS) {
+      const own = user[action] === undefined ? [] : ([] as string[]).concat(user[action] as string | string[])
+      merged[action] = uniq([...own, ...(base ? base[action] : [])])
+    }
+    profiles.set(lang, merged)
+  }
+  return profiles
+}
+
+function profiles(): Map<string, LabelProfile> {
+  if (!cache) cache = loadProfiles()
+  return cache
+}
+
+export function mergeProfiles(list: LabelProfile[], lang = '*'): LabelProfile {
+  const out = { lang } as LabelProfile
+  for (const action of LABEL_ACTIONS) out[action] = uniq(list.flatMap(p => p[action]))
+  return out
+}
+
+export function resolveProfile(lang?: string | null): LabelProfile {
+  const all = profiles()
+  const key = normLang(lang || '')
+  const hit = key ? all.get(key) || all.get(key.split('-')[0]) : undefined
+  if (hit) return hit
+  return mergeProfiles(Array.from(all.values()))
+}
+
+export async function detectLang(driver: Driver): Promise<string> {
+  try {
+    return String(await driver.evaluate('() => (document.documentElement && document.documentElement.lang) || navigator.language || ""') || '')
+  } catch {
+    return ''
+  }
+}
+
+export async function detectProfile(driver: Driver, override?: string): Promise<LabelProfile> {
+  const lang = override || process.env.UI_LANG || await detectLang(driver)
+  return resolveProfile(lang)
+}
+
+export function labelsFor(profile: LabelProfile, action: LabelAction): string[] {
+  return profile[action] || []
+}
+
+function escapeRegExp(s: string): string {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+export function labelPattern(profile: LabelProfile, action: LabelAction, exact = false): RegExp {
+  const alt = labelsFor(profile, action).map(escapeRegExp).join('|') || '(?!)'
+  return new RegExp(exact ? `^(?:${alt})$` : alt, 'i')
+}
+
+export function ariaSelectors(profile: LabelProfile, action: LabelAction, tags = ['button', '[role="button"]']): string[] {
+  return labelsFor(profile, action).flatMap(name => tags.map(tag => `${tag}[aria-label*=${JSON.stringify(name)}]`))
+}
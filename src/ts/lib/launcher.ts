@@ -0,0 +1,163 @@
+import { ChildProcess, spawn } from 'child_process'
+import fs from 'fs'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+import { getBrowserVersion } from './targets.js'
+
+export type LaunchOptions = {
+  executablePath?: string
+  headless?: boolean
+  userDataDir?: string
+  port?: number | 'auto'
+  address?: string
+  args?: string[]
+  url?: string
+  timeout?: number
+}
+
+export type LaunchedChrome = {
+  base: string
+  port: number
+  userDataDir: string
+  executablePath: string
+  process: ChildProcess | null
+  close: () => Promise<void>
+}
+
+const LAUNCH_TIMEOUT_MS = parseInt(process.env.CHROME_LAUNCH_TIMEOUT_MS || '30000', 10)
+const KILL_TIMEOUT_MS = 5000
+
+function isExecutable(p: string): boolean {
+  try { fs.accessSync(p, fs.constants.X_OK); return fs.statSync(p).isFile() } catch { return false }
+}
+
+function localBrowsers(): string[] {
+  const root = path.join(process.cwd(), '.browsers', 'chrome')
+  const rel = process.platform === 'win32' ? ['chrome-win64', 'chrome.exe'] : process.platform === 'darwin' ? ['chrome-mac-x64', 'Google Chrome for Testing.app', 'Contents', 'MacOS', 'Google Chrome for Testing'] : ['chrome-linux64', 'chrome']
+  try { return fs.readdirSync(root).sort().reverse().map(v => path.join(root, v, ...rel)) } catch { return [] }
+}
+
+function systemBrowsers(): string[] {
+  if (process.platform === 'win32') {
+    const roots = [process.env.PROGRAMFILES, process.env['PROGRAMFILES(X86)'], process.env.LOCALAPPDATA].filter(Boolean) as string[]
+    return roots.flatMap(r => [path.join(r, 'Google', 'Chrome', 'Application', 'chrome.exe'), path.join(r, 'Chromium', 'Application', 'chrome.exe')])
+  }
+  if (process.platform === 'darwin') {
+    return ['/Applications/Google Chrome.app/Contents/MacOS/Google Chrome', '/Applications/Chromium.app/Contents/MacOS/Chromium']
+  }
+  const names = ['google-chrome-stable', 'google-chrome', 'chromium', 'chromium-browser', 'chrome']
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean)
+  return [...dirs.flatMap(d => names.map(n => path.join(d, n))), '/opt/google/chrome/chrome', '/snap/bin/chromium']
+}
+
+export function findChrome(): string {
+  const explicit = process.env.CHROME_PATH
+  if (explicit) {
+    if (!isExecutable(explicit)) throw new Error(`CHROME_PATH is not executable: ${explicit}`)
+    return explicit
+  }
+  const found = [...localBrowsers(), ...systemBrowsers()].find(isExecutable)
+  if (!found) throw new Error('未找到Chrome/Chromium可执行文件，请设置CHROME_PATH')
+  return found
+}
+
+export async function findFreePort(host = '127.0.0.1'): Promise<number> {
+  return await new Promise((resolve, reject) => {
+    const srv = net.createServer()
+    srv.unref()
+    srv.on('error', reject)
+    srv.listen(0, host, () => {
+      const addr = srv.address()
+      const port = addr && typeof addr === 'object' ? addr.port : 0
+      srv.close(() => resolve(port))
+    })
+  })
+}
+
+async function readDevToolsActivePort(userDataDir: string, deadline: number, child: ChildProcess): Promise<number> {
+  const file = path.join(userDataDir, 'DevToolsActivePort')
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Chrome exited early with code ${child.exitCode}`)
+    try {
+      const port = parseInt(fs.readFileSync(file, 'utf8').split(/\r?\n/)[0], 10)
+      if (port > 0) return port
+    } catch {}
+    await new Promise(res => setTimeout(res, 100))
+  }
+  throw new Error(`timed out waiting for ${file}`)
+}
+
+export async function isEndpointReachable(base: string): Promise<boolean> {
+  try { await getBrowserVersion(base); return true } catch { return false }
+}
+
+export async function waitForEndpoint(base: string, timeout = LAUNCH_TIMEOUT_MS, child?: ChildProcess): Promise<void> {
+  const deadline = Date.now() + timeout
+  while (Date.now() < deadline) {
+    if (child && child.exitCode !== null) throw new Error(`Chrome exited early with code ${child.exitCode}`)
+    if (await isEndpointReachable(base)) return
+    await new Promise(res => setTimeout(res, 200))
+  }
+  throw new Error(`timed out waiting for ${base}/json/version`)
+}
+
+async function killChrome(child: ChildProcess): Promise<void> {
+  if (child.pid === undefined || child.exitCode !== null || child.signalCode !== null) return
+  const exited = new Promise<void>(res => child.once('exit', () => res()))
+  try { child.kill('SIGTERM') } catch {}
+  const timedOut = await Promise.race([exited.then(() => false), new Promise<boolean>(res => setTimeout(() => res(true), KILL_TIMEOUT_MS).unref())])
+  if (timedOut) {
+    try { child.kill('SIGKILL') } catch {}
+    await exited
+  }
+}
+
+export async function launchChrome(options: LaunchOptions = {}): Promise<LaunchedChrome> {
+  const executablePath = options.executablePath || findChrome()
+  const address = options.address || '127.0.0.1'
+  const timeout = typeof options.timeout === 'number' ? options.timeout : LAUNCH_TIMEOUT_MS
+  const tempProfile = !options.userDataDir
+  const userDataDir = options.userDataDir ? path.resolve(options.userDataDir) : fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-mcp-rpa-'))
+  fs.mkdirSync(userDataDir, { recursive: true })
+  try { fs.unlinkSync(path.join(userDataDir, 'DevToolsActivePort')) } catch {}
+  const requested = options.port === 'auto' ? await findFreePort(address) : (options.port || 0)
+  const args = [
+    `--remote-debugging-port=${requested}`,
+    `--remote-debugging-address=${address}`,
+    `--user-data-dir=${userDataDir}`,
+    '--no-first-run',
+    '--no-default-browser-check'
+  ]
+  if (options.headless) args.push('--headless=new', '--disable-gpu')
+  if (process.platform === 'linux' && typeof process.getuid === 'function' && process.getuid() === 0) args.push('--no-sandbox')
+  args.push(...(options.args || []), options.url || 'about:blank')
+  const child = spawn(executablePath, args, { stdio: 'ignore' })
+  const spawnError = new Promise<never>((_, reject) => child.once('error', e => reject(new Error(`failed to start Chrome (${executablePath}): ${e.message}`))))
+  spawnError.catch(() => {})
+  const removeProfile = () => { if (tempProfile) { try { fs.rmSync(userDataDir, { recursive: true, force: true, maxRetries: 3 }) } catch {} } }
+  const close = async () => { await killChrome(child); removeProfile() }
+  try {
+    const deadline = Date.now() + timeout
+    const port = requested || await Promise.race([readDevToolsActivePort(userDataDir, deadline, child), spawnError])
+    const base = `http://${address}:${port}`
+    await Promise.race([waitForEndpoint(base, Math.max(0, deadline - Date.now()), child), spawnError])
+    return { base, port, userDataDir, executablePath, process: child, close }
+  } catch (e) {
+    await close()
+    throw e
+  }
+}
+
+export async function ensureChrome(base: string, options: LaunchOptions = {}): Promise<LaunchedChrome> {
+  if (await isEndpointReachable(base)) {
+    const u = new URL(base)
+    return { base, port: parseInt(u.port || '80', 10), userDataDir: '', executablePath: '', process: null, close: async () => {} }
+  }
+  if (process.env.CHROME_AUTO_LAUNCH === '0') throw new Error(`Chrome调试端点不可达: ${base}`)
+  return await launchChrome({
+    headless: process.env.CHROME_HEADLESS === '1',
+    userDataDir: process.env.CHROME_USER_DATA_DIR || undefined,
+    ...options
+  })
+}
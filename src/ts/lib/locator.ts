@@ -0,0 +1,376 @@
+import { CdpConnection, CdpOptions } from './cdp.js'
+import { childFrameIds, oopifTracker } from './frames.js'
+import { clickAt, InputOptions } from './input.js'
+
+export type LocatorStrategy = 'axQuery' | 'axTree' | 'css' | 'pierce' | 'xpath' | 'text'
+export type LocatorSpec = {
+  name?: string
+  role?: string
+  accessibleName?: string
+  text?: string | RegExp
+  exact?: boolean
+  css?: string | string[]
+  xpath?: string
+  within?: string
+  clickable?: boolean
+  frames?: boolean
+  order?: LocatorStrategy[]
+}
+export type LocateOptions = { root?: LocatedNode; axTimeout?: number; frameTimeout?: number; all?: boolean }
+export type LocatedNode = { backendNodeId: number; objectId?: string; x?: number; y?: number; width?: number; height?: number; frameId?: string; sessionId?: string; offset?: { x: number; y: number } }
+export type LocatorAttempt = { strategy: string; ok: boolean; count: number; reason?: string }
+export type LocateResult = { ok: boolean; spec: string; strategy?: string; node?: LocatedNode; nodes: LocatedNode[]; attempts: LocatorAttempt[] }
+export type ClickResult = { ok: boolean; backendNodeId?: number; x?: number; y?: number; via?: string; strategy?: string; attempts?: LocatorAttempt[] }
+
+const DOM_STRATEGIES: LocatorStrategy[] = ['css', 'pierce', 'xpath', 'text']
+const SCRIPT_STRATEGIES: LocatorStrategy[] = ['css', 'xpath', 'text']
+const CLICKABLE = 'button,[role="button"],a,[role="menuitem"],[role="option"],[role="tab"],[role="switch"],[role="checkbox"]'
+
+const COLLECT_FN = `function (spec, root) {
+  const scope = root || document
+  const doc = scope.ownerDocument || scope
+  const deepAll = (base, sel) => {
+    const found = []
+    const visit = r => {
+      found.push(...r.querySelectorAll(sel))
+      for (const el of r.querySelectorAll('*')) if (el.shadowRoot) visit(el.shadowRoot)
+    }
+    visit(base)
+    return found
+  }
+  const closestDeep = (el, sel) => {
+    for (let n = el; n; n = n.getRootNode && n.getRootNode().host) { const c = n.closest && n.closest(sel); if (c) return c }
+    return null
+  }
+  const bases = spec.within ? deepAll(scope, spec.within) : [scope]
+  const re = spec.text ? new RegExp(spec.text.source, spec.text.flags) : null
+  const norm = s => (s || '').replace(/\\s+/g, ' ').trim()
+  const textOf = el => norm(el.innerText || el.textContent)
+  const lift = el => spec.clickable ? (closestDeep(el, ${JSON.stringify(CLICKABLE)}) || el) : el
+  const out = []
+  const push = el => { if (el && el.nodeType === 1 && !out.includes(el)) out.push(el) }
+  for (const b of bases) {
+    if (spec.strategy === 'css') {
+      for (const sel of spec.css) {
+        let found = []
+        try { found = deepAll(b, sel) } catch {}
+        found = found.filter(el => !re || re.test(textOf(el)))
+        if (found.length) { found.forEach(el => push(lift(el))); break }
+      }
+    } else if (spec.strategy === 'xpath') {
+      const snap = doc.evaluate(spec.xpath, b, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null)
+      for (let i = 0; i < snap.snapshotLength; i++) { const el = snap.snapshotItem(i); if (!re || re.test(textOf(el))) push(lift(el)) }
+    } else if (spec.strategy === 'text') {
+      const all = deepAll(b, '*').filter(el => re.test(norm(el.textContent)))
+      all.filter(el => !Array.from(el.children).some(c => re.test(norm(c.textContent)))).forEach(el => push(lift(el)))
+    }
+  }
+  return out
+}`
+
+function escapeRegExp(s: string): string {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function textPattern(spec: LocatorSpec): { source: string; flags: string } | null {
+  if (spec.text === undefined || spec.text === '') return null
+  if (spec.text instanceof RegExp) return { source: spec.text.source, flags: spec.text.flags.replace('g', '') }
+  const src = escapeRegExp(spec.text)
+  return { source: spec.exact ? `^${src}$` : src, flags: 'i' }
+}
+
+export function describeSpec(spec: LocatorSpec): string {
+  if (spec.name) return spec.name
+  const parts = [] as string[]
+  if (spec.role || spec.accessibleName) parts.push(`${spec.role || '*'}[name=${JSON.stringify(spec.accessibleName || '')}]`)
+  if (spec.css) parts.push(([] as string[]).concat(spec.css).join(' | '))
+  if (spec.xpath) parts.push(spec.xpath)
+  if (spec.text) parts.push(`text=${String(spec.text)}`)
+  return parts.join(' ; ') || 'locator'
+}
+
+export function strategiesFor(spec: LocatorSpec): LocatorStrategy[] {
+  if (spec.order && spec.order.length) return spec.order
+  const out = [] as LocatorStrategy[]
+  if (spec.accessibleName) out.push('axQuery', 'axTree')
+  if (spec.css) out.push('css', 'pierce')
+  if (spec.xpath) out.push('xpath')
+  if (spec.text) out.push('text')
+  return out
+}
+
+function inSession(sessionId?: string, options: CdpOptions = {}): CdpOptions {
+  return sessionId ? { ...options, sessionId } : options
+}
+
+export async function boxOf(conn: CdpConnection, backendNodeId: number, sessionId?: string): Promise<{ x: number; y: number; width: number; height: number } | null> {
+  try {
+    const bm = await conn.call('DOM.getBoxModel', { backendNodeId }, inSession(sessionId))
+    const q = bm?.result?.model?.content || bm?.result?.model?.border || bm?.result?.model?.margin
+    if (!q || q.length < 8) return null
+    const xs = [q[0], q[2], q[4], q[6]]
+    const ys = [q[1], q[3], q[5], q[7]]
+    const width = Math.max(0, Math.max(...xs) - Math.min(...xs))
+    const height = Math.max(0, Math.max(...ys) - Math.min(...ys))
+    return { x: Math.round((q[0] + q[2] + q[4] + q[6]) / 4), y: Math.round((q[1] + q[3] + q[5] + q[7]) / 4), width, height }
+  } catch {
+    return null
+  }
+}
+
+export async function nodeBox(conn: CdpConnection, node: LocatedNode): Promise<{ x: number; y: number; width: number; height: number } | null> {
+  const box = await boxOf(conn, node.backendNodeId, node.sessionId)
+  if (!box || !node.offset) return box
+  return { ...box, x: box.x + Math.round(node.offset.x), y: box.y + Math.round(node.offset.y) }
+}
+
+export async function pickNode(conn: CdpConnection, nodes: LocatedNode[]): Promise<LocatedNode | null> {
+  let best: LocatedNode | null = null
+  let bestArea = 0
+  for (const n of nodes) {
+    const box = await nodeBox(conn, n)
+    if (!box || box.width < 1 || box.height < 1) continue
+    const area = box.width * box.height
+    if (!best || area > bestArea) { best = { ...n, ...box }; bestArea = area }
+  }
+  return best
+}
+
+export async function callOn(conn: CdpConnection, node: LocatedNode, functionDeclaration: string, options: { args?: any[]; returnByValue?: boolean; awaitPromise?: boolean } = {}): Promise<any> {
+  let objectId = node.objectId
+  if (!objectId) {
+    const rn = await conn.call('DOM.resolveNode', { backendNodeId: node.backendNodeId }, inSession(node.sessionId))
+    objectId = rn?.result?.object?.objectId
+    if (!objectId) throw new Error(`cannot resolve node ${node.backendNodeId}`)
+  }
+  const params: any = { objectId, functionDeclaration, returnByValue: !!options.returnByValue, awaitPromise: !!options.awaitPromise }
+  if (options.args) params.arguments = options.args.map(value => ({ value }))
+  return await conn.call('Runtime.callFunctionOn', params, inSession(node.sessionId))
+}
+
+async function nodesFromArray(conn: CdpConnection, arrayObjectId: string, scope: { frameId?: string; sessionId?: string; offset?: { x: number; y: number } }): Promise<LocatedNode[]> {
+  const opts = inSession(scope.sessionId)
+  const props = await conn.call('Runtime.getProperties', { objectId: arrayObjectId, ownProperties: true }, opts)
+  const out = [] as LocatedNode[]
+  for (const p of props?.result?.result || []) {
+    if (!/^\d+$/.test(p?.name) || !p?.value?.objectId) continue
+    const d = await conn.call('DOM.describeNode', { objectId: p.value.objectId }, opts)
+    const backendNodeId = d?.result?.node?.backendNodeId
+    if (backendNodeId) out.push({ backendNodeId, objectId: p.value.objectId, frameId: scope.frameId, sessionId: scope.sessionId, offset: scope.offset })
+  }
+  conn.call('Runtime.releaseObject', { objectId: arrayObjectId }, opts).catch(() => {})
+  return out
+}
+
+type Scope = { tag: string; contextId?: number; frameId?: string; sessionId?: string; offset?: { x: number; y: number } }
+
+function domPayload(spec: LocatorSpec, strategy: LocatorStrategy) {
+  const payload = { strategy, css: ([] as string[]).concat(spec.css || []), xpath: spec.xpath, text: textPattern(spec), within: spec.within, clickable: !!spec.clickable }
+  if (strategy === 'text' && !payload.text) throw new Error('not applicable: no text')
+  if ((strategy === 'css' || strategy === 'pierce') && !payload.css.length) throw new Error('not applicable: no css')
+  if (strategy === 'xpath' && !payload.xpath) throw new Error('not applicable: no xpath')
+  return payload
+}
+
+async function collectDom(conn: CdpConnection, spec: LocatorSpec, strategy: LocatorStrategy, options: LocateOptions, scope: Scope): Promise<LocatedNode[]> {
+  const payload = domPayload(spec, strategy)
+  let r: any
+  if (options.root && !scope.contextId) {
+    r = await callOn(conn, options.root, `function (spec) { return (${COLLECT_FN})(spec, this) }`, { args: [payload] })
+  } else {
+    const params: any = { expression: `(${COLLECT_FN})(${JSON.stringify(payload)}, null)` }
+    if (scope.contextId) params.contextId = scope.contextId
+    r = await conn.call('Runtime.evaluate', params, inSession(scope.sessionId, { timeout: scope.contextId || scope.sessionId ? options.frameTimeout : undefined }))
+  }
+  if (r?.result?.exceptionDetails) throw new Error(r.result.exceptionDetails?.exception?.description || r.result.exceptionDetails.text || 'page exception')
+  const oid = r?.result?.result?.objectId
+  return oid ? await nodesFromArray(conn, oid, scope) : []
+}
+
+const FILTER_FN = `function (text, clickable) {
+  if (text) {
+    const s = (this.innerText || this.textContent || '').replace(/\\s+/g, ' ').trim()
+    if (!new RegExp(text.source, text.flags).test(s)) return null
+  }
+  if (!clickable) return this
+  for (let n = this; n; n = n.getRootNode && n.getRootNode().host) { const c = n.closest && n.closest(${JSON.stringify(CLICKABLE)}); if (c) return c }
+  return this
+}`
+
+async function collectPierce(conn: CdpConnection, spec: LocatorSpec, options: LocateOptions, scope: Scope): Promise<LocatedNode[]> {
+  const payload = domPayload(spec, 'pierce')
+  const opts = inSession(scope.sessionId)
+  const doc = await conn.call('DOM.getDocument', { depth: -1, pierce: true }, opts)
+  const rootId = options.root?.backendNodeId
+  const roots = [] as number[]
+  const walk = (n: any, inside: boolean) => {
+    if (!n) return
+    const hit = inside || !rootId || n.backendNodeId === rootId
+    if (hit && (n.nodeType === 9 || n.nodeType === 11 || n.backendNodeId === rootId)) roots.push(n.nodeId)
+    for (const c of n.children || []) walk(c, hit)
+    for (const c of n.shadowRoots || []) walk(c, hit)
+    walk(n.contentDocument, hit)
+  }
+  walk(doc?.result?.root, false)
+  const within = [] as number[]
+  if (payload.within) {
+    for (const nodeId of roots) {
+      const q = await conn.call('DOM.querySelectorAll', { nodeId, selector: payload.within }, opts)
+      within.push(...(q?.result?.nodeIds || []))
+    }
+  }
+  const bases = payload.within ? within : roots
+  const out = [] as LocatedNode[]
+  for (const selector of payload.css) {
+    const ids = new Set<number>()
+    for (const nodeId of bases) {
+      try {
+        const q = await conn.call('DOM.querySelectorAll', { nodeId, selector }, opts)
+        for (const id of q?.result?.nodeIds || []) ids.add(id)
+      } catch {}
+    }
+    for (const nodeId of ids) {
+      const rn = await conn.call('DOM.resolveNode', { nodeId }, opts)
+      const objectId = rn?.result?.object?.objectId
+      if (!objectId) continue
+      const f = await conn.call('Runtime.callFunctionOn', { objectId, functionDeclaration: FILTER_FN, arguments: [{ value: payload.text }, { value: payload.clickable }] }, opts)
+      const hitId = f?.result?.result?.objectId
+      if (!hitId) continue
+      const d = await conn.call('DOM.describeNode', { objectId: hitId }, opts)
+      const backendNodeId = d?.result?.node?.backendNodeId
+      if (backendNodeId && !out.some(n => n.backendNodeId === backendNodeId)) out.push({ backendNodeId, objectId: hitId, sessionId: scope.sessionId, offset: scope.offset })
+    }
+    if (out.length) break
+  }
+  return out
+}
+
+async function collectAx(conn: CdpConnection, spec: LocatorSpec, strategy: LocatorStrategy, options: LocateOptions): Promise<LocatedNode[]> {
+  if (!spec.accessibleName) throw new Error('not applicable: no accessibleName')
+  const roleOk = (n: any) => !spec.role || (n?.role?.value || '') === spec.role
+  let nodes: any[] = []
+  if (strategy === 'axQuery') {
+    let nodeId = undefined as number | undefined
+    let backendNodeId = options.root?.backendNodeId
+    if (!backendNodeId) {
+      const doc = await conn.call('DOM.getDocument', { depth: 0 })
+      nodeId = doc?.result?.root?.nodeId
+    }
+    const q = await conn.call('Accessibility.queryAXTree', { nodeId, backendNodeId, accessibleName: spec.accessibleName, role: spec.role }, inSession(options.root?.sessionId, { timeout: options.axTimeout }))
+    nodes = (q?.result?.nodes || []).filter(roleOk)
+  } else {
+    const ax = await conn.call('Accessibility.getFullAXTree', {}, { timeout: options.axTimeout })
+    const name = spec.accessibleName
+    nodes = (ax?.result?.nodes || []).filter((n: any) => roleOk(n) && typeof n?.name?.value === 'string' && (spec.exact ? n.name.value === name : n.name.value.includes(name)))
+  }
+  return nodes.map(n => n?.backendDOMNodeId).filter(Boolean).map((backendNodeId: number) => ({ backendNodeId, sessionId: options.root?.sessionId, offset: options.root?.offset }))
+}
+
+async function frameScopes(conn: CdpConnection, strategy: LocatorStrategy): Promise<Scope[]> {
+  const tracker = oopifTracker(conn)
+  let children = [] as Awaited<ReturnType<typeof tracker.list>>
+  try { children = await tracker.list() } catch {}
+  const scopes = [] as Scope[]
+  if (SCRIPT_STRATEGIES.includes(strategy)) {
+    const oopifs = new Set(children.map(c => c.targetId))
+    try {
+      for (const frameId of await childFrameIds(conn)) if (!oopifs.has(frameId)) scopes.push({ tag: `${strategy}@frame:${frameId}`, frameId })
+    } catch {}
+  }
+  for (const c of children) scopes.push({ tag: `${strategy}@oopif:${c.targetId}`, sessionId: c.sessionId, offset: await tracker.offsetOf(c.sessionId) })
+  return scopes
+}
+
+export async function locate(conn: CdpConnection, spec: LocatorSpec, options: LocateOptions = {}): Promise<LocateResult> {
+  const attempts = [] as LocatorAttempt[]
+  const label = describeSpec(spec)
+  for (const strategy of strategiesFor(spec)) {
+    const scopes: Scope[] = [{ tag: strategy, sessionId: options.root?.sessionId, offset: options.root?.offset }]
+    if (spec.frames && DOM_STRATEGIES.includes(strategy) && !options.root) scopes.push(...await frameScopes(conn, strategy))
+    for (const scope of scopes) {
+      try {
+        if (scope.frameId) {
+          const iw = await conn.call('Page.createIsolatedWorld', { frameId: scope.frameId, worldName: 'locator', grantUniveralAccess: true }, { timeout: options.frameTimeout })
+          scope.contextId = iw?.result?.executionContextId
+          if (!scope.contextId) throw new Error('no isolated world')
+        }
+        const found = strategy === 'pierce'
+          ? await collectPierce(conn, spec, options, scope)
+          : DOM_STRATEGIES.includes(strategy)
+            ? await collectDom(conn, spec, strategy, options, scope)
+            : await collectAx(conn, spec, strategy, options)
+        if (!found.length) { attempts.push({ strategy: scope.tag, ok: false, count: 0, reason: 'no match' }); continue }
+        if (options.all) {
+          attempts.push({ strategy: scope.tag, ok: true, count: found.length })
+          return { ok: true, spec: label, strategy: scope.tag, node: found[0], nodes: found, attempts }
+        }
+        const picked = await pickNode(conn, found)
+        if (!picked) { attempts.push({ strategy: scope.tag, ok: false, count: found.length, reason: 'no visible box' }); continue }
+        attempts.push({ strategy: scope.tag, ok: true, count: found.length })
+        return { ok: true, spec: label, strategy: scope.tag, node: picked, nodes: found, attempts }
+      } catch (e: any) {
+        attempts.push({ strategy: scope.tag, ok: false, count: 0, reason: e?.message || String(e) })
+      }
+    }
+  }
+  return { ok: false, spec: label, nodes: [], attempts }
+}
+
+export async function locateFirst(conn: CdpConnection, specs: LocatorSpec[], options: LocateOptions = {}): Promise<LocateResult> {
+  const attempts = [] as LocatorAttempt[]
+  for (const spec of specs) {
+    const r = await locate(conn, spec, options)
+    const tagged = r.attempts.map(a => ({ ...a, strategy: `${r.spec}/${a.strategy}` }))
+    attempts.push(...tagged)
+    if (r.ok) return { ...r, attempts }
+  }
+  return { ok: false, spec: specs.map(describeSpec).join(' > '), nodes: [], attempts }
+}
+
+export async function locateAll(conn: CdpConnection, spec: LocatorSpec, options: LocateOptions = {}): Promise<LocateResult> {
+  return await locate(conn, spec, { ...options, all: true })
+}
+
+export async function waitForLocator(conn: CdpConnection, spec: LocatorSpec | LocatorSpec[], options: LocateOptions & { timeout?: number; interval?: number } = {}): Promise<LocateResult> {
+  const deadline = Date.now() + (typeof options.timeout === 'number' ? options.timeout : 2000)
+  for (;;) {
+    const r = Array.isArray(spec) ? await locateFirst(conn, spec, options) : await locate(conn, spec, options)
+    if (r.ok || Date.now() >= deadline) return r
+    await new Promise(res => setTimeout(res, options.interval || 100))
+  }
+}
+
+async function trustedClick(conn: CdpConnection, node: LocatedNode, options: InputOptions): Promise<ClickResult> {
+  try { await conn.call('DOM.scrollIntoViewIfNeeded', { backendNodeId: node.backendNodeId }, inSession(node.sessionId)) } catch {}
+  const box = await nodeBox(conn, node)
+  if (!box || box.width < 1 || box.height < 1) return { ok: false, backendNodeId: node.backendNodeId }
+  await clickAt(conn, box.x, box.y, options)
+  return { ok: true, backendNodeId: node.backendNodeId, x: box.x, y: box.y, via: options.human ? 'human' : 'trusted' }
+}
+
+export async function clickNode(conn: CdpConnection, node: LocatedNode, options: InputOptions = {}): Promise<ClickResult> {
+  if (options.trusted) {
+    const t = await trustedClick(conn, node, options)
+    if (t.ok) return t
+  }
+  try {
+    await callOn(conn, node, 'function(){ this.scrollIntoView({block:"center",inline:"center"}); this.click() }', { awaitPromise: true })
+    return { ok: true, backendNodeId: node.backendNodeId, x: node.x, y: node.y, via: 'callFunctionOn' }
+  } catch {}
+  const box = node.x !== undefined && node.y !== undefined ? node : await nodeBox(conn, node)
+  if (!box || box.x === undefined || box.y === undefined) return { ok: false, backendNodeId: node.backendNodeId }
+  await conn.call('Input.dispatchMouseEvent', { type: 'mousePressed', x: box.x, y: box.y, button: 'left', clickCount: 1 })
+  await conn.call('Input.dispatchMouseEvent', { type: 'mouseReleased', x: box.x, y: box.y, button: 'left', clickCount: 1 })
+  return { ok: true, backendNodeId: node.backendNodeId, x: box.x, y: box.y, via: 'dispatchMouseEvent' }
+}
+
+export async function clickLocator(conn: CdpConnection, spec: LocatorSpec | LocatorSpec[], options: LocateOptions & InputOptions = {}): Promise<ClickResult> {
+  const r = Array.isArray(spec) ? await locateFirst(conn, spec, options) : await locate(conn, spec, options)
+  if (!r.ok || !r.node) return { ok: false, attempts: r.attempts }
+  const c = await clickNode(conn, r.node, options)
+  return { ...c, strategy: r.strategy, attempts: r.attempts }
+}
+
+export function formatAttempts(attempts: LocatorAttempt[]): string {
+  return attempts.map(a => `${a.strategy}:${a.ok ? `ok(${a.count})` : a.reason || 'failed'}`).join(', ')
+}
@@ -0,0 +1,222 @@
+import { ConnectMode, connectPage } from './browser.js'
+import { CdpConnection } from './cdp.js'
+import { Driver, DriverOptions, ElementTarget, ScreenshotOptions, TabInfo, toSpec, wrapFunction } from './driver.js'
+import { LocatorSpec } from './locator.js'
+import { CdpTarget } from './targets.js'
+
+export type McpInstance = { client: any; transport: any }
+export type McpPage = { idx: number; url: string; selected: boolean }
+
+const MCP_CONNECTION_TIMEOUT_MS = 30000
+const TOOL_CALL_TIMEOUT_MS = 60000
+
+export function mcpServerConfig(browserUrl: string) {
+  return {
+    command: 'npx',
+    args: ['-y', 'chrome-devtools-mcp@latest', `--browserUrl=${browserUrl}`],
+    env: { ...process.env, NODE_ENV: 'production' }
+  }
+}
+
+export async function startMcp(browserUrl: string, name = 'chrome-mcp-driver-client'): Promise<McpInstance> {
+  const mod = (await import('@modelcontextprotocol/sdk/client/index.js')) as any
+  const mod2 = (await import('@modelcontextprotocol/sdk/client/stdio.js')) as any
+  const { Client } = mod
+  const { StdioClientTransport } = mod2
+  const transport = new StdioClientTransport(mcpServerConfig(browserUrl))
+  const client = new Client({ name, version: '1.0.0' }, { capabilities: {} })
+  let tid: any
+  const timeoutPromise = new Promise((_, reject) => { tid = setTimeout(() => reject(new Error('MCP connection timeout')), MCP_CONNECTION_TIMEOUT_MS) })
+  try {
+    await Promise.race([client.connect(transport), timeoutPromise])
+  } catch (e) {
+    await stopMcp({ client, transport }).catch(() => {})
+    throw e
+  } finally {
+    clearTimeout(tid)
+  }
+  return { client, transport }
+}
+
+export async function callMcpTool(mcp: McpInstance, name: string, args: any = {}, timeout = TOOL_CALL_TIMEOUT_MS): Promise<any> {
+  let tid: any
+  const timeoutPromise = new Promise((_, reject) => { tid = setTimeout(() => reject(new Error(`Tool execution timeout after ${timeout}ms`)), timeout) })
+  try {
+    return await Promise.race([mcp.client.callTool({ name, arguments: args }), timeoutPromise])
+  } finally {
+    clearTimeout(tid)
+  }
+}
+
+export async function stopMcp(mcp: Partial<McpInstance> | null): Promise<void> {
+  if (mcp?.client) await mcp.client.close()
+  if (mcp?.transport) await mcp.transport.close()
+}
+
+export function getTextFromContentParts(parts: any): string {
+  if (!Array.isArray(parts)) return ''
+  const out: string[] = []
+  for (const p of parts) {
+    if (typeof p?.text === 'string') out.push(p.text)
+    else if (typeof p === 'string') out.push(p)
+    else if (p && typeof p === 'object' && p.type !== 'image') {
+      if (p.type === 'json' && p.json) out.push(JSON.stringify(p.json))
+      else out.push(JSON.stringify(p))
+    }
+  }
+  return out.join('\n')
+}
+
+export function parseJsonBlock(raw: string): any {
+  const m = raw.match(/```json\r?\n([\s\S]*?)\r?\n```/i)
+  if (!m) throw new Error(`MCP返回中没有JSON结果: ${raw.slice(0, 200)}`)
+  return JSON.parse(m[1])
+}
+
+export function parsePages(raw: string): McpPage[] {
+  const out = [] as McpPage[]
+  for (const line of raw.split(/\r?\n/)) {
+    const m = /^(\d+): (\S+)( \[selected\])?$/.exec(line.trim())
+    if (m) out.push({ idx: parseInt(m[1], 10), url: m[2], selected: !!m[3] })
+  }
+  return out
+}
+
+function snapshotUid(snapshot: string, spec: LocatorSpec): string | null {
+  const name = spec.accessibleName || (typeof spec.text === 'string' ? spec.text : '')
+  if (!name && !(spec.text instanceof RegExp)) return null
+  for (const line of snapshot.split(/\r?\n/)) {
+    const m = /uid=(\S+)\s+(\S+)(?:\s+"((?:[^"\\]|\\.)*)")?/.exec(line)
+    if (!m || !m[3]) continue
+    if (spec.role && m[2] !== spec.role) continue
+    const label = m[3]
+    const hit = spec.text instanceof RegExp && !name ? spec.text.test(label) : spec.exact ? label === name : label.includes(name)
+    if (hit) return m[1]
+  }
+  return null
+}
+
+const DOM_CLICK_FN = `(css) => {
+  for (const sel of css) {
+    const el = document.querySelector(sel)
+    if (!el) continue
+    el.scrollIntoView({ block: 'center' })
+    el.click()
+    return true
+  }
+  return false
+}`
+
+const DOM_FILL_FN = `(css, text) => {
+  for (const sel of css) {
+    const el = document.querySelector(sel)
+    if (!el) continue
+    el.focus()
+    if ('value' in el) {
+      const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype
+      const desc = Object.getOwnPropertyDescriptor(proto, 'value')
+      if (desc && desc.set) desc.set.call(el, text); else el.value = text
+    } else {
+      el.textContent = text
+    }
+    el.dispatchEvent(new Event('input', { bubbles: true }))
+    el.dispatchEvent(new Event('change', { bubbles: true }))
+    return true
+  }
+  return false
+}`
+
+export class McpDriver implements Driver {
+  readonly name = 'mcp' as const
+  base: string
+  target: CdpTarget
+  mcp: McpInstance
+  timeout: number
+  mode?: ConnectMode
+  private conn: CdpConnection | null = null
+
+  constructor(base: string, target: CdpTarget, mcp: McpInstance, timeout: number) {
+    this.base = base
+    this.target = target
+    this.mcp = mcp
+    this.timeout = timeout
+  }
+
+  static async open(base: string, target: CdpTarget, options: DriverOptions): Promise<McpDriver> {
+    const mcp = await startMcp(base)
+    const driver = new McpDriver(base, target, mcp, options.timeout || TOOL_CALL_TIMEOUT_MS)
+    driver.mode = options.mode
+    try {
+      const pages = await driver.pages()
+      const page = pages.find(p => p.url === target.url) || pages.find(p => target.url && p.url.startsWith(target.url))
+      if (!page) throw new Error(`MCP页面列表中未找到目标标签页: ${target.url}`)
+      if (!page.selected) await driver.callTool('select_page', { pageIdx: page.idx })
+      return driver
+    } catch (e) {
+      await driver.close()
+      throw e
+    }
+  }
+
+  async callTool(name: string, args: any = {}): Promise<any> {
+    const r = await callMcpTool(this.mcp, name, args, this.timeout)
+    if (r?.isError) throw new Error(`MCP ${name} 失败: ${getTextFromContentParts(r.content).slice(0, 300)}`)
+    return r
+  }
+
+  async pages(): Promise<McpPage[]> {
+    return parsePages(getTextFromContentParts((await this.callTool('list_pages')).content))
+  }
+
+  async navigate(url: string): Promise<void> {
+    await this.callTool('navigate_page', { type: 'url', url, timeout: this.timeout })
+  }
+
+  async evaluate<T = any>(fn: string, ...args: any[]): Promise<T> {
+    const r = await this.callTool('evaluate_script', { function: args.length ? `() => ${wrapFunction(fn, args)}` : fn })
+    return parseJsonBlock(getTextFromContentParts(r.content)) as T
+  }
+
+  private async uidOf(spec: LocatorSpec): Promise<string | null> {
+    if (!spec.accessibleName && !spec.text) return null
+    const r = await this.callTool('take_snapshot', {})
+    return snapshotUid(getTextFromContentParts(r.content), spec)
+  }
+
+  async click(target: ElementTarget): Promise<void> {
+    const spec = toSpec(target)
+    const uid = await this.uidOf(spec)
+    if (uid) { await this.callTool('click', { uid }); return }
+    if (!await this.evaluate<boolean>(DOM_CLICK_FN, ([] as string[]).concat(spec.css || []))) throw new Error(`点击失败: 未找到元素 ${spec.name || JSON.stringify(spec.css)}`)
+  }
+
+  async type(target: ElementTarget, text: string): Promise<void> {
+    const spec = toSpec(target)
+    const uid = await this.uidOf(spec)
+    if (uid) { await this.callTool('fill', { uid, value: text }); return }
+    if (!await this.evaluate<boolean>(DOM_FILL_FN, ([] as string[]).concat(spec.css || []), text)) throw new Error(`未找到输入元素: ${spec.name || JSON.stringify(spec.css)}`)
+  }
+
+  async screenshot(options: ScreenshotOptions = {}): Promise<Buffer> {
+    const r = await this.callTool('take_screenshot', { format: 'png', fullPage: !!options.fullPage })
+    const image = (r?.content || []).find((p: any) => p?.type === 'image' && typeof p.data === 'string')
+    if (image) return Buffer.from(image.data, 'base64')
+    const m = getTextFromContentParts(r?.content).match(/base64,([A-Za-z0-9+/\n\r]*={0,2})/)
+    if (!m) throw new Error('截图失败: MCP未返回图片')
+    return Buffer.from(m[1].replace(/[\n\r]/g, ''), 'base64')
+  }
+
+  async tabs(): Promise<TabInfo[]> {
+    return (await this.pages()).map(p => ({ id: `${p.idx}`, title: '', url: p.url, active: p.selected }))
+  }
+
+  async cdp(): Promise<CdpConnection> {
+    if (!this.conn || this.conn.closed) this.conn = await connectPage(this.base, this.target, { timeout: this.timeout, mode: this.mode })
+    return this.conn
+  }
+
+  async close(): Promise<void> {
+    if (this.conn) this.conn.close()
+    await stopMcp(this.mcp)
+  }
+}
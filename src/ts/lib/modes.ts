@@ -0,0 +1,145 @@
+import { argValue } from './args.js'
+import { CdpConnection } from './cdp.js'
+import { CdpDriver, clickFirst, Driver } from './driver.js'
+import { InputOptions } from './input.js'
+import { LabelAction, LabelProfile, labelsFor } from './labels.js'
+import { callOn, clickNode, formatAttempts, LocatedNode, locateFirst, LocatorSpec } from './locator.js'
+
+export type ModeName = 'deepthink' | 'search'
+export type ModeRequest = Partial<Record<ModeName, boolean>>
+export type ModeState = { on: boolean | null; source: 'ax' | 'dom' | 'none'; changed: boolean; requested?: boolean }
+export type ModeReport = Record<ModeName, ModeState>
+type ModeToggle = { found: boolean; reason: string; read: () => Promise<{ on: boolean | null; source: ModeState['source'] }>; click: () => Promise<boolean> }
+
+export const MODE_NAMES: ModeName[] = ['deepthink', 'search']
+const MODE_ACTIONS: Record<ModeName, LabelAction> = { deepthink: 'deepThink', search: 'search' }
+const AX_STATES = ['pressed', 'checked', 'selected']
+
+function parseSwitch(name: string, value: string): boolean {
+  const v = value.trim().toLowerCase()
+  if (['on', 'true', '1', 'yes'].includes(v)) return true
+  if (['off', 'false', '0', 'no'].includes(v)) return false
+  throw new Error(`--${name} 仅支持 on 或 off: ${value}`)
+}
+
+export function resolveModeArgs(argv: string[] = process.argv.slice(2)): ModeRequest {
+  const out: ModeRequest = {}
+  for (const name of MODE_NAMES) {
+    const v = argValue(argv, name)
+    if (v !== undefined) out[name] = parseSwitch(name, v)
+  }
+  return out
+}
+
+export function modeSpecs(labels: LabelProfile, mode: ModeName): LocatorSpec[] {
+  return labelsFor(labels, MODE_ACTIONS[mode]).map(name => ({
+    name: `${mode} toggle "${name}"`,
+    accessibleName: name,
+    text: name,
+    clickable: true,
+    order: ['axQuery', 'axTree', 'text']
+  }))
+}
+
+async function axState(conn: CdpConnection, node: LocatedNode): Promise<boolean | null> {
+  const r = await conn.call('Accessibility.getPartialAXTree', { backendNodeId: node.backendNodeId, fetchRelatives: false }, node.sessionId ? { sessionId: node.sessionId, idempotent: true } : { idempotent: true })
+  const self = (r?.result?.nodes || []).find((n: any) => n?.backendDOMNodeId === node.backendNodeId)
+  for (const p of self?.properties || []) {
+    if (!AX_STATES.includes(p?.name)) continue
+    const v = p?.value?.value
+    if (v === true || v === 'true') return true
+    if (v === false || v === 'false') return false
+  }
+  return null
+}
+
+const DOM_STATE_FN = `function () {
+  let el = this
+  let toggleLike = false
+  for (let i = 0; i < 2 && el; i++, el = el.parentElement) {
+    for (const a of ['aria-pressed', 'aria-checked', 'aria-selected', 'data-state']) {
+      const v = el.getAttribute(a)
+      if (v === 'true' || v === 'on' || v === 'checked' || v === 'active') return true
+      if (v === 'false' || v === 'off' || v === 'unchecked' || v === 'inactive') return false
+    }
+    const cls = typeof el.className === 'string' ? el.className : ''
+    if (/(^|[-_\\s])(selected|active|checked|enabled)($|\\s)/i.test(cls)) return true
+    if (/toggle|switch/i.test(cls)) toggleLike = true
+  }
+  return toggleLike ? false : null
+}`
+
+async function readState(conn: CdpConnection, node: LocatedNode): Promise<{ on: boolean | null; source: ModeState['source'] }> {
+  let on: boolean | null = null
+  try { on = await axState(conn, node) } catch {}
+  if (on !== null) return { on, source: 'ax' }
+  const r = await callOn(conn, node, DOM_STATE_FN, { returnByValue: true })
+  const v = r?.result?.result?.value
+  return { on: typeof v === 'boolean' ? v : null, source: 'dom' }
+}
+
+const DOM_TOGGLE_FN = `(names) => {
+  const nameOf = el => [el.getAttribute('aria-label'), el.innerText].filter(Boolean).join(' ').trim()
+  let hit = null
+  for (const el of document.querySelectorAll('button, [role="button"], [role="switch"], [role="checkbox"], [tabindex]')) {
+    if (names.some(n => nameOf(el).includes(n)) && (!hit || hit.contains(el))) hit = el
+  }
+  if (!hit) return { found: false, on: null }
+  const v = (${DOM_STATE_FN}).call(hit)
+  return { found: true, on: typeof v === 'boolean' ? v : null }
+}`
+
+async function cdpToggle(conn: CdpConnection, specs: LocatorSpec[], input: InputOptions): Promise<ModeToggle> {
+  const found = await locateFirst(conn, specs)
+  const node = found.node as LocatedNode
+  return {
+    found: found.ok && !!node,
+    reason: formatAttempts(found.attempts),
+    read: () => readState(conn, node),
+    click: async () => (await clickNode(conn, node, input)).ok
+  }
+}
+
+async function driverToggle(driver: Driver, labels: LabelProfile, mode: ModeName): Promise<ModeToggle> {
+  const names = labelsFor(labels, MODE_ACTIONS[mode])
+  const probe = async () => await driver.evaluate<{ found: boolean; on: boolean | null }>(DOM_TOGGLE_FN, names)
+  const first = await probe()
+  return {
+    found: !!first?.found,
+    reason: `${driver.name}: ${names.join(' / ')}`,
+    read: async () => ({ on: (await probe())?.on ?? null, source: 'dom' }),
+    click: async () => (await clickFirst(driver, modeSpecs(labels, mode))).ok
+  }
+}
+
+export async function applyModes(driver: Driver, labels: LabelProfile, request: ModeRequest): Promise<ModeReport> {
+  const report = {} as ModeReport
+  for (const mode of MODE_NAMES) {
+    const wanted = request[mode]
+    const toggle = driver instanceof CdpDriver ? await cdpToggle(driver.conn, modeSpecs(labels, mode), driver.input) : await driverToggle(driver, labels, mode)
+    if (!toggle.found) {
+      if (wanted !== undefined) throw new Error(`未找到${mode}开关: ${toggle.reason}`)
+      report[mode] = { on: null, source: 'none', changed: false }
+      continue
+    }
+    const before = await toggle.read()
+    let state: ModeState = { ...before, changed: false, requested: wanted }
+    if (wanted !== undefined && before.on === null) throw new Error(`无法读取${mode}开关状态 (无 aria-pressed/aria-checked 或选中样式)`)
+    if (wanted !== undefined && before.on !== wanted) {
+      if (!await toggle.click()) throw new Error(`切换${mode}失败`)
+      let after = before
+      for (let i = 0; i < 10 && after.on !== wanted; i++) {
+        await new Promise(res => setTimeout(res, 150))
+        after = await toggle.read()
+      }
+      if (after.on !== wanted) throw new Error(`切换${mode}后状态未变化: 期望 ${wanted ? 'on' : 'off'}`)
+      state = { ...after, changed: true, requested: wanted }
+    }
+    report[mode] = state
+  }
+  return report
+}
+
+export function formatModes(report: ModeReport): string {
+  return MODE_NAMES.map(m => `${m}=${report[m].on === null ? 'n/a' : report[m].on ? 'on' : 'off'}${report[m].changed ? '*' : ''}`).join(' ')
+}
@@ -0,0 +1,158 @@
+import { escapeHtmlAttr, escapeHtmlText, HtmlElement, HtmlNode, parseHtml, VOID_TAGS } from './html.js'
+
+export type SizeStats = { chars: number; tokens: number }
+export type SanitizeReport = { before: SizeStats; after: SizeStats; removedElements: number; removedAttributes: number }
+export type SanitizeResult = { html: string; report: SanitizeReport }
+export type SanitizeOptions = { keepClass?: RegExp }
+
+const DROP_TAGS = new Set(['head', 'script', 'style', 'noscript', 'svg', 'math', 'canvas', 'iframe', 'object', 'embed', 'video', 'audio', 'picture', 'link', 'meta', 'base', 'button', 'input', 'select', 'textarea', 'form'])
+const UNWRAP_TAGS = new Set(['div', 'section', 'center'])
+const INLINE_UNWRAP_TAGS = new Set(['span', 'font', 'template'])
+const BLOCK_TAGS = new Set(['div', 'p', 'section', 'article', 'main', 'aside', 'header', 'footer', 'nav', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'pre', 'blockquote', 'table', 'thead', 'tbody', 'tr', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'br', 'details', 'summary', 'figure'])
+const KEEP_ATTRS = new Set(['role', 'aria-label', 'aria-roledescription', 'aria-level', 'lang', 'dir', 'alt', 'href', 'colspan', 'rowspan', 'start', 'open'])
+const KEEP_DATA_ATTR = /^data-[\w-]*(role|author|message|turn|speaker|testid|snapshot-frame)/
+const KEEP_CLASS = new RegExp(process.env.SANITIZE_KEEP_CLASS || 'message|msg|user|assistant|answer|question|query|prompt|reply|response|markdown|chat|dialog|turn|think|reason|citation|^language-|^ds-', 'i')
+const CJK = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g
+
+export function estimateTokens(text: string): number {
+  const cjk = (text.match(CJK) || []).length
+  return cjk + Math.ceil((text.length - cjk) / 4)
+}
+
+export function sizeOf(text: string): SizeStats {
+  return { chars: text.length, tokens: estimateTokens(text) }
+}
+
+function isHidden(el: HtmlElement): boolean {
+  if ('hidden' in el.attrs || el.attrs['aria-hidden'] === 'true') return true
+  const style = (el.attrs.style || '').replace(/\s+/g, '').toLowerCase()
+  return style.includes('display:none') || style.includes('visibility:hidden')
+}
+
+function classTokens(el: HtmlElement): string[] {
+  return (el.attrs.class || '').split(/\s+/).filter(Boolean)
+}
+
+function repeatedClasses(el: HtmlElement): Set<string> {
+  const counts = new Map<string, number>()
+  for (const c of el.children) {
+    if (c.type !== 'element') continue
+    for (const t of new Set(classTokens(c))) counts.set(t, (counts.get(t) || 0) + 1)
+  }
+  return new Set([...counts].filter(([, n]) => n >= 2).map(([t]) => t))
+}
+
+function isBlank(node: HtmlNode): boolean {
+  return node.type === 'text' && !node.text.trim()
+}
+
+function hasContent(node: HtmlNode): boolean {
+  if (node.type === 'text') return node.text.trim().length > 0
+  if (node.type === 'comment') return false
+  if (node.tag === 'img') return !!node.attrs.alt
+  if (node.tag === 'br' || node.tag === 'hr') return true
+  return node.children.some(hasContent)
+}
+
+export function sanitizeHtml(html: string, options: SanitizeOptions = {}): SanitizeResult {
+  const keepClass = options.keepClass || KEEP_CLASS
+  const aliases = new Map<string, string>()
+  let removedElements = 0
+  let removedAttributes = 0
+
+  const cleanAttrs = (el: HtmlElement, repeated: Set<string>) => {
+    const out = {} as Record<string, string>
+    for (const [k, v] of Object.entries(el.attrs)) {
+      if (k === 'class') {
+        const kept = classTokens(el).filter(t => keepClass.test(t))
+        const alias = classTokens(el).find(t => !keepClass.test(t) && repeated.has(t))
+        if (alias) {
+          if (!aliases.has(alias)) aliases.set(alias, `m${aliases.size + 1}`)
+          kept.push(aliases.get(alias) as string)
+        }
+        if (kept.length) out.class = kept.join(' ')
+        else removedAttributes++
+      } else if (KEEP_ATTRS.has(k) || KEEP_DATA_ATTR.test(k)) {
+        if (k === 'href' && /^(javascript|data):/i.test(v)) { removedAttributes++; continue }
+        out[k] = v
+      } else {
+        removedAttributes++
+      }
+    }
+    el.attrs = out
+  }
+
+  const clean = (el: HtmlElement, pre: boolean): HtmlNode[] => {
+    const repeated = repeatedClasses(el)
+    const out = [] as HtmlNode[]
+    for (const c of el.children) {
+      if (c.type === 'comment') continue
+      if (c.type === 'text') {
+        const text = pre ? c.text : c.text.replace(/\s+/g, ' ')
+        if (text) out.push({ type: 'text', text })
+        continue
+      }
+      if (DROP_TAGS.has(c.tag) || (c.tag === 'template' && !c.attrs.shadowrootmode) || isHidden(c) || !hasContent(c)) {
+        removedElements++
+        continue
+      }
+      cleanAttrs(c, repeated)
+      c.children = c.tag === 'img' ? [] : clean(c, pre || c.tag === 'pre')
+      if (!hasContent(c)) {
+        removedElements++
+        continue
+      }
+      const bare = !Object.keys(c.attrs).length
+      const elementChildren = c.children.filter(n => n.type === 'element')
+      if (bare && INLINE_UNWRAP_TAGS.has(c.tag)) {
+        out.push(...c.children)
+        removedElements++
+      } else if (bare && UNWRAP_TAGS.has(c.tag) && elementChildren.length === 1 && c.children.every(n => n.type === 'element' || isBlank(n))) {
+        out.push(elementChildren[0])
+        removedElements++
+      } else {
+        out.push(c)
+      }
+    }
+    if (!pre) {
+      while (out.length && isBlank(out[0])) out.shift()
+      while (out.length && isBlank(out[out.length - 1])) out.pop()
+    }
+    return out
+  }
+
+  const root = parseHtml(html)
+  const body = findBody(root)
+  body.children = clean(body, false)
+  const result = serialize({ ...body, tag: '#root' }).trim()
+  return {
+    html: result,
+    report: { before: sizeOf(html), after: sizeOf(result), removedElements, removedAttributes }
+  }
+}
+
+function findBody(root: HtmlElement): HtmlElement {
+  const stack = [root]
+  while (stack.length) {
+    const el = stack.shift() as HtmlElement
+    if (el.tag === 'body') return el
+    for (const c of el.children) if (c.type === 'element' && (c.tag === 'html' || c.tag === 'body')) stack.push(c)
+  }
+  return root
+}
+
+function serialize(node: HtmlNode): string {
+  if (node.type === 'text') return escapeHtmlText(node.text)
+  if (node.type === 'comment') return ''
+  const inner = node.children.map(serialize).join('')
+  if (node.tag === '#root') return inner
+  const attrs = Object.entries(node.attrs).map(([k, v]) => (v === '' ? ` ${k}` : ` ${k}="${escapeHtmlAttr(v)}"`)).join('')
+  const nl = BLOCK_TAGS.has(node.tag) ? '\n' : ''
+  if (VOID_TAGS.has(node.tag)) return `<${node.tag}${attrs}>${nl}`
+  return `<${node.tag}${attrs}>${inner}</${node.tag}>${nl}`
+}
+
+export function formatSanitizeReport(r: SanitizeReport): string {
+  const pct = r.before.chars ? Math.round((1 - r.after.chars / r.before.chars) * 100) : 0
+  return `${r.before.chars} -> ${r.after.chars} 字符, ~${r.before.tokens} -> ~${r.after.tokens} tokens (-${pct}%), 移除 ${r.removedElements} 个元素 / ${r.removedAttributes} 个属性`
+}
@@ -0,0 +1,129 @@
+import { Builder, By, Key, WebDriver, WebElement } from 'selenium-webdriver'
+import { ConnectMode, connectPage } from './browser.js'
+import { CdpConnection } from './cdp.js'
+import { Driver, DriverOptions, ElementTarget, ScreenshotOptions, TabInfo, toSpec } from './driver.js'
+import { LocatorSpec } from './locator.js'
+import { CdpTarget } from './targets.js'
+
+function xpathLiteral(s: string): string {
+  if (!s.includes('"')) return `"${s}"`
+  if (!s.includes("'")) return `'${s}'`
+  return `concat(${s.split('"').map(p => `"${p}"`).join(`, '"', `)})`
+}
+
+function locatorsFor(spec: LocatorSpec): By[] {
+  const out = [] as By[]
+  if (spec.accessibleName) out.push(By.css(`[aria-label=${JSON.stringify(spec.accessibleName)}]`))
+  for (const css of ([] as string[]).concat(spec.css || [])) out.push(By.css(css))
+  if (spec.xpath) out.push(By.xpath(spec.xpath))
+  const text = typeof spec.text === 'string' ? spec.text : ''
+  if (text) out.push(By.xpath(spec.exact ? `//*[normalize-space(.)=${xpathLiteral(text)}][not(*[normalize-space(.)=${xpathLiteral(text)}])]` : `//*[contains(normalize-space(.), ${xpathLiteral(text)})][not(*[contains(normalize-space(.), ${xpathLiteral(text)})])]`))
+  return out
+}
+
+export class SeleniumDriver implements Driver {
+  readonly name = 'selenium' as const
+  base: string
+  target: CdpTarget
+  web: WebDriver
+  timeout: number
+  mode?: ConnectMode
+  private conn: CdpConnection | null = null
+
+  constructor(base: string, target: CdpTarget, web: WebDriver, timeout: number) {
+    this.base = base
+    this.target = target
+    this.web = web
+    this.timeout = timeout
+  }
+
+  static async open(base: string, target: CdpTarget, options: DriverOptions): Promise<SeleniumDriver> {
+    const caps: any = { browserName: 'chrome', 'goog:chromeOptions': { debuggerAddress: new URL(base).host } }
+    const web = await new Builder().withCapabilities(caps).build()
+    const driver = new SeleniumDriver(base, target, web, options.timeout || 10000)
+    driver.mode = options.mode
+    try {
+      const handles = await web.getAllWindowHandles()
+      let handle = handles.find(h => h === target.id || h.endsWith(target.id))
+      if (!handle) {
+        for (const h of handles) {
+          await web.switchTo().window(h)
+          if (await web.getCurrentUrl() === target.url) { handle = h; break }
+        }
+      }
+      if (!handle) throw new Error(`Selenium窗口列表中未找到目标标签页: ${target.url}`)
+      await web.switchTo().window(handle)
+      return driver
+    } catch (e) {
+      await driver.close()
+      throw e
+    }
+  }
+
+  private async find(target: ElementTarget): Promise<WebElement> {
+    const spec = toSpec(target)
+    for (const by of locatorsFor(spec)) {
+      for (const el of await this.web.findElements(by)) {
+        if (await el.isDisplayed().catch(() => false)) return el
+      }
+    }
+    throw new Error(`未找到元素: ${spec.name || JSON.stringify(spec.css || spec.text)}`)
+  }
+
+  async navigate(url: string): Promise<void> {
+    await this.web.get(url)
+  }
+
+  async evaluate<T = any>(fn: string, ...args: any[]): Promise<T> {
+    return await this.web.executeScript(`return (${fn}).apply(null, arguments)`, ...args) as T
+  }
+
+  async click(target: ElementTarget): Promise<void> {
+    await (await this.find(target)).click()
+  }
+
+  async type(target: ElementTarget, text: string): Promise<void> {
+    const el = await this.find(target)
+    await el.click()
+    await el.clear().catch(() => {})
+    await el.sendKeys(Key.chord(process.platform === 'darwin' ? Key.COMMAND : Key.CONTROL, 'a'), Key.BACK_SPACE)
+    const lines = text.split('\n')
+    for (const [i, line] of lines.entries()) {
+      if (line) await el.sendKeys(line)
+      if (i < lines.length - 1) await el.sendKeys(Key.chord(Key.SHIFT, Key.ENTER))
+    }
+  }
+
+  async screenshot(options: ScreenshotOptions = {}): Promise<Buffer> {
+    if (options.fullPage) {
+      const conn = await this.cdp()
+      const r = await conn.call('Page.captureScreenshot', { format: 'png', captureBeyondViewport: true }, { timeout: 60000 })
+      if (typeof r?.result?.data === 'string') return Buffer.from(r.result.data, 'base64')
+    }
+    return Buffer.from(await this.web.takeScreenshot(), 'base64')
+  }
+
+  async tabs(): Promise<TabInfo[]> {
+    const current = await this.web.getWindowHandle()
+    const out = [] as TabInfo[]
+    try {
+      for (const h of await this.web.getAllWindowHandles()) {
+        await this.web.switchTo().window(h)
+        out.push({ id: h, title: await this.web.getTitle(), url: await this.web.getCurrentUrl(), active: h === current })
+      }
+    } finally {
+      await this.web.switchTo().window(current)
+    }
+    return out
+  }
+
+  async cdp(): Promise<CdpConnection> {
+    if (!this.conn || this.conn.closed) this.conn = await connectPage(this.base, this.target, { timeout: this.timeout, mode: this.mode })
+    return this.conn
+  }
+
+  async close(): Promise<void> {
+    if (this.conn) this.conn.close()
+    await this.web.quit().catch(() => {})
+  }
+}
@@ -0,0 +1,134 @@
+import WebSocket from 'ws'
+import { CdpCall, CdpClient, CdpConnectionError, CdpEventSource, connectCdp } from './cdp.js'
+import { listTargets } from './targets.js'
+
+export type SessionTarget = { id?: string; type?: string; title?: string; url?: string; webSocketDebuggerUrl?: string }
+export type CdpSessionOptions = { timeout?: number; maxReconnects?: number; reconnectDelay?: number; maxReplays?: number }
+
+const IDEMPOTENT_METHOD = /^[A-Za-z]+\.(?:enable|disable|get\w*|query\w*|describe\w*|resolve\w*|capture\w*|bringToFront)$/
+const MAX_RECONNECTS = parseInt(process.env.CDP_MAX_RECONNECTS || '8', 10)
+const RECONNECT_DELAY_MS = parseInt(process.env.CDP_RECONNECT_DELAY_MS || '500', 10)
+const MAX_RECONNECT_DELAY_MS = 10000
+
+export function isIdempotentMethod(method: string): boolean {
+  return IDEMPOTENT_METHOD.test(method)
+}
+
+function samePage(a: string, b: string): boolean {
+  try {
+    const x = new URL(a)
+    const y = new URL(b)
+    return x.origin === y.origin && x.pathname === y.pathname
+  } catch {
+    return false
+  }
+}
+
+export class CdpSession extends CdpEventSource {
+  base: string
+  target: SessionTarget
+  client: CdpClient | null = null
+  reconnects = 0
+  private maxReconnects: number
+  private reconnectDelay: number
+  private maxReplays: number
+  private enabled = new Map<string, any>()
+  private connecting: Promise<CdpClient> | null = null
+
+  constructor(base: string, target: SessionTarget, options: CdpSessionOptions = {}) {
+    super(options.timeout)
+    this.base = base
+    this.target = { ...target }
+    this.maxReconnects = typeof options.maxReconnects === 'number' ? options.maxReconnects : MAX_RECONNECTS
+    this.reconnectDelay = typeof options.reconnectDelay === 'number' ? options.reconnectDelay : RECONNECT_DELAY_MS
+    this.maxReplays = typeof options.maxReplays === 'number' ? options.maxReplays : 2
+  }
+
+  async connect(): Promise<this> {
+    if (this.target.webSocketDebuggerUrl) this.client = await this.attach(this.target as SessionTarget & { webSocketDebuggerUrl: string })
+    else await this.ensureClient()
+    return this
+  }
+
+  call: CdpCall = async (method, params, options) => {
+    const replayable = typeof options?.idempotent === 'boolean' ? options.idempotent : isIdempotentMethod(method)
+    let replays = 0
+    for (;;) {
+      const client = await this.ensureClient()
+      try {
+        const r = await client.call(method, params, options)
+        if (method.endsWith('.enable')) this.enabled.set(method, params || {})
+        else if (method.endsWith('.disable')) this.enabled.delete(method.replace(/\.disable$/, '.enable'))
+        return r
+      } catch (e: any) {
+        if (!(e instanceof CdpConnectionError) || this.closed || !replayable || replays >= this.maxReplays) throw e
+        replays += 1
+      }
+    }
+  }
+
+  close(): void {
+    if (this.closed) return
+    this.closed = true
+    if (this.client) this.client.close()
+    this.emit('close', {}, {})
+  }
+
+  private ensureClient(): Promise<CdpClient> {
+    if (this.closed) return Promise.reject(new CdpConnectionError('session closed'))
+    if (this.client && !this.client.closed && this.client.ws.readyState === WebSocket.OPEN) return Promise.resolve(this.client)
+    if (!this.connecting) this.connecting = this.reconnect().finally(() => { this.connecting = null })
+    return this.connecting
+  }
+
+  private async reconnect(): Promise<CdpClient> {
+    let lastError: any
+    for (let attempt = 0; attempt <= this.maxReconnects; attempt++) {
+      if (this.closed) throw new CdpConnectionError('session closed')
+      if (attempt > 0) await new Promise(res => setTimeout(res, Math.min(MAX_RECONNECT_DELAY_MS, this.reconnectDelay * Math.pow(2, attempt - 1))))
+      let client: CdpClient | null = null
+      try {
+        const t = await this.resolveTarget()
+        client = await this.attach(t)
+        for (const [m, p] of this.enabled) await client.call(m, p)
+        const stale = this.client
+        this.client = client
+        if (stale && stale !== client) stale.close()
+        this.reconnects += 1
+        this.emit('reconnected', { attempt: attempt + 1, target: this.target }, {})
+        return client
+      } catch (e: any) {
+        if (client) client.close()
+        lastError = e
+      }
+    }
+    this.close()
+    throw new CdpConnectionError(`reconnect failed after ${this.maxReconnects + 1} attempts: ${lastError?.message || String(lastError)}`)
+  }
+
+  private async resolveTarget(): Promise<SessionTarget & { webSocketDebuggerUrl: string }> {
+    const list = (await listTargets(this.base)).filter(x => typeof x.webSocketDebuggerUrl === 'string' && (!x.type || x.type === 'page'))
+    const { id, url } = this.target
+    let t = id ? list.find(x => x.id === id) : undefined
+    if (!t && url) t = list.find(x => x.url === url) || list.find(x => typeof x.url === 'string' && samePage(x.url, url))
+    if (!t) throw new CdpConnectionError(`target not found: ${id || url || 'unknown'}`)
+    return t
+  }
+
+  private async attach(t: SessionTarget & { webSocketDebuggerUrl: string }): Promise<CdpClient> {
+    const client = await connectCdp(t.webSocketDebuggerUrl, { timeout: this.timeout })
+    this.target = { ...this.target, ...t }
+    client.on('*', (params, message) => { if (typeof message?.method === 'string') this.emit(message.method, params, message) })
+    client.on('Page.frameNavigated', p => { if (p?.frame && !p.frame.parentId && p.frame.url) this.target.url = p.frame.url })
+    client.on('close', () => {
+      if (this.client !== client || this.closed) return
+      this.emit('disconnected', { target: this.target }, {})
+      this.ensureClient().catch(() => {})
+    })
+    return client
+  }
+}
+
+export async function connectSession(base: string, target: SessionTarget, options: CdpSessionOptions = {}): Promise<CdpSession> {
+  return await new CdpSession(base, target, options).connect()
+}
@@ -0,0 +1,255 @@
+import { CdpConnection } from './cdp.js'
+
+export type SseEvent = { event: string; data: string; id?: string }
+export type StreamReference = { index: number; title: string; url: string; snippet?: string; site?: string }
+export type StreamFormat = 'patch' | 'openai' | 'unknown'
+export type StreamAnswer = {
+  ok: boolean
+  url: string
+  status: number | null
+  format: StreamFormat
+  content: string
+  reasoning: string
+  references: StreamReference[]
+  events: number
+  bytes: number
+  finished: boolean
+  reason?: string
+}
+
+const STREAM_URL_PATTERN = new RegExp(process.env.STREAM_URL_PATTERN || '/chat/completion|/completions(\\?|$)', 'i')
+const STREAM_WAIT_MS = parseInt(process.env.STREAM_WAIT_MS || '15000', 10)
+
+export function parseSse(text: string): SseEvent[] {
+  const out = [] as SseEvent[]
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n\n+/)) {
+    let event = 'message'
+    let id: string | undefined
+    const data = [] as string[]
+    for (const line of block.split('\n')) {
+      if (!line || line.startsWith(':')) continue
+      const i = line.indexOf(':')
+      const field = i < 0 ? line : line.slice(0, i)
+      const value = i < 0 ? '' : line.slice(i + 1).replace(/^ /, '')
+      if (field === 'data') data.push(value)
+      else if (field === 'event') event = value
+      else if (field === 'id') id = value
+    }
+    if (data.length) out.push({ event, data: data.join('\n'), id })
+  }
+  return out
+}
+
+function resolvePath(root: any, path: string[], create: boolean): { parent: any; key: string | number } | null {
+  let cur = root
+  for (let i = 0; i < path.length - 1; i++) {
+    const key = Array.isArray(cur) && path[i] === '-1' ? cur.length - 1 : path[i]
+    if (cur[key] === undefined || cur[key] === null) {
+      if (!create) return null
+      cur[key] = /^\d+$/.test(path[i + 1]) || path[i + 1] === '-1' ? [] : {}
+    }
+    cur = cur[key]
+  }
+  const last = path[path.length - 1]
+  return { parent: cur, key: Array.isArray(cur) && last === '-1' ? cur.length - 1 : last }
+}
+
+function applyPatch(root: any, path: string[], op: string, value: any): void {
+  if (op === 'BATCH' && Array.isArray(value)) {
+    for (const v of value) applyPatch(root, [...path, ...String(v?.p || '').split('/').filter(Boolean)], v?.o || 'SET', v?.v)
+    return
+  }
+  const at = resolvePath(root, path, true)
+  if (!at) return
+  const prev = at.parent[at.key]
+  if (op === 'APPEND' && Array.isArray(prev)) prev.push(...([] as any[]).concat(value))
+  else if (op === 'APPEND' && typeof prev === 'string') at.parent[at.key] = prev + String(value ?? '')
+  else if (op === 'ADD' && typeof prev === 'number') at.parent[at.key] = prev + Number(value || 0)
+  else at.parent[at.key] = value
+}
+
+function toReference(r: any, i: number): StreamReference | null {
+  const url = r?.url || r?.link || ''
+  if (!url) return null
+  return {
+    index: typeof r?.cite_index === 'number' ? r.cite_index : typeof r?.index === 'number' ? r.index : i + 1,
+    title: r?.title || r?.name || '',
+    url,
+    snippet: r?.snippet || r?.summary || undefined,
+    site: r?.site_name || undefined
+  }
+}
+
+function collectReferences(lists: any[]): StreamReference[] {
+  const seen = new Set<string>()
+  const out = [] as StreamReference[]
+  for (const list of lists) {
+    if (!Array.isArray(list)) continue
+    list.forEach((r, i) => {
+      const ref = toReference(r, i)
+      if (!ref || seen.has(ref.url)) return
+      seen.add(ref.url)
+      out.push(ref)
+    })
+  }
+  return out.sort((a, b) => a.index - b.index)
+}
+
+export function reduceSse(events: SseEvent[]): Pick<StreamAnswer, 'format' | 'content' | 'reasoning' | 'references' | 'finished'> {
+  const root: any = {}
+  let lastPath: string[] = []
+  let format: StreamFormat = 'unknown'
+  let finished = false
+  let content = ''
+  let reasoning = ''
+  const refLists = [] as any[]
+  for (const e of events) {
+    if (e.event === 'finish' || e.event === 'close' || e.data === '[DONE]') { finished = true; continue }
+    let d: any
+    try { d = JSON.parse(e.data) } catch { continue }
+    if (Array.isArray(d?.choices)) {
+      format = 'openai'
+      for (const c of d.choices) {
+        const delta = c?.delta || c?.message || {}
+        if (typeof delta.reasoning_content === 'string') reasoning += delta.reasoning_content
+        if (typeof delta.content === 'string') {
+          if (delta.type === 'thinking') reasoning += delta.content
+          else content += delta.content
+        }
+        if (c?.finish_reason) finished = true
+      }
+      refLists.push(d.search_results, d.citations, d.choices[0]?.delta?.search_results)
+      continue
+    }
+    if (!d || typeof d !== 'object' || !('v' in d)) continue
+    format = 'patch'
+    if (typeof d.p === 'string') lastPath = d.p.split('/').filter(Boolean)
+    if (!lastPath.length) {
+      if (d.v && typeof d.v === 'object' && !Array.isArray(d.v)) Object.assign(root, d.v)
+      continue
+    }
+    const at = resolvePath(root, lastPath, false)
+    const prev = at ? at.parent[at.key] : undefined
+    const op = d.o || (typeof d.p !== 'string' || (typeof prev === 'string' && typeof d.v === 'string') ? 'APPEND' : 'SET')
+    applyPatch(root, lastPath, op, d.v)
+    if (/status$/i.test(lastPath[lastPath.length - 1]) && /FINISHED/i.test(String(d.v))) finished = true
+  }
+  if (format === 'patch') {
+    const r = root.response || root
+    const fragments: any[] = Array.isArray(r.fragments) ? r.fragments : []
+    if (fragments.length) {
+      for (const f of fragments) {
+        const type = String(f?.type || '').toUpperCase()
+        if (type === 'THINK' || type === 'THINKING') reasoning += f.content || ''
+        else if (type === 'RESPONSE' || type === 'TEXT' || !type) content += f.content || ''
+        refLists.push(f?.results, f?.search_results)
+      }
+    } else {
+      content = typeof r.content === 'string' ? r.content : ''
+      reasoning = typeof r.thinking_content === 'string' ? r.thinking_content : ''
+    }
+    refLists.unshift(r.search_results)
+    if (/FINISHED/i.test(String(r.status || ''))) finished = true
+  }
+  return { format, content, reasoning, references: collectReferences(refLists), finished }
+}
+
+export class StreamCapture {
+  conn: CdpConnection
+  pattern: RegExp
+  requestId: string | null = null
+  url = ''
+  status: number | null = null
+  chunks: string[] = []
+  done = false
+  failed = ''
+  private streaming = false
+  private offs: Array<() => void> = []
+  private waiters: Array<() => void> = []
+
+  constructor(conn: CdpConnection, pattern = STREAM_URL_PATTERN) {
+    this.conn = conn
+    this.pattern = pattern
+    this.offs.push(
+      conn.on('Network.requestWillBeSent', p => {
+        if (this.requestId || p?.request?.method !== 'POST' || !this.pattern.test(p?.request?.url || '')) return
+        this.requestId = p.requestId
+        this.url = p.request.url
+      }),
+      conn.on('Network.responseReceived', p => {
+        if (!this.requestId && p?.response?.mimeType === 'text/event-stream') { this.requestId = p.requestId; this.url = p.response.url }
+        if (p?.requestId !== this.requestId) return
+        this.status = p.response?.status ?? null
+        this.enableStreaming(p.requestId)
+      }),
+      conn.on('Network.dataReceived', p => {
+        if (p?.requestId === this.requestId && typeof p.data === 'string' && p.data) this.chunks.push(Buffer.from(p.data, 'base64').toString('utf8'))
+      }),
+      conn.on('Network.loadingFinished', p => { if (p?.requestId === this.requestId) void this.finish() }),
+      conn.on('Network.loadingFailed', p => {
+        if (p?.requestId !== this.requestId) return
+        this.failed = p.errorText || 'loading failed'
+        this.settle()
+      })
+    )
+  }
+
+  static async start(conn: CdpConnection, pattern?: RegExp): Promise<StreamCapture> {
+    const capture = new StreamCapture(conn, pattern)
+    await conn.call('Network.enable', { maxTotalBufferSize: 64 * 1024 * 1024, maxResourceBufferSize: 16 * 1024 * 1024 })
+    return capture
+  }
+
+  private async enableStreaming(requestId: string): Promise<void> {
+    try {
+      const r = await this.conn.call('Network.streamResourceContent', { requestId })
+      const buffered = r?.result?.bufferedData
+      if (typeof buffered === 'string' && buffered) this.chunks.unshift(Buffer.from(buffered, 'base64').toString('utf8'))
+      this.streaming = true
+    } catch {}
+  }
+
+  private async finish(): Promise<void> {
+    if (!this.streaming || !this.chunks.length) {
+      try {
+        const r = await this.conn.call('Network.getResponseBody', { requestId: this.requestId })
+        const body = r?.result?.body
+        if (typeof body === 'string') this.chunks = [r.result.base64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body]
+      } catch (e: any) {
+        if (!this.chunks.length) this.failed = e?.message || String(e)
+      }
+    }
+    this.settle()
+  }
+
+  private settle(): void {
+    this.done = true
+    for (const w of this.waiters.splice(0)) w()
+  }
+
+  async wait(timeout = STREAM_WAIT_MS): Promise<StreamAnswer> {
+    if (!this.done) {
+      await new Promise<void>(res => {
+        const tid = setTimeout(res, timeout)
+        this.waiters.push(() => { clearTimeout(tid); res() })
+      })
+    }
+    return this.result()
+  }
+
+  result(): StreamAnswer {
+    const raw = this.chunks.join('')
+    const events = parseSse(raw)
+    const reduced = reduceSse(events)
+    let reason: string | undefined
+    if (!this.requestId) reason = 'no completion request seen'
+    else if (this.failed) reason = this.failed
+    else if (!this.done) reason = 'stream not finished'
+    else if (!events.length) reason = 'empty stream'
+    return { ok: !reason, url: this.url, status: this.status, ...reduced, events: events.length, bytes: Buffer.byteLength(raw), reason }
+  }
+
+  dispose(): void {
+    for (const off of this.offs.splice(0)) off()
+  }
+}
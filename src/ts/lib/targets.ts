@@ -0,0 +1,104 @@
+import { argValue, hasFlag } from './args.js'
+import { connectCdp } from './cdp.js'
+
+export type CdpTarget = { id: string; type: string; title?: string; url: string; webSocketDebuggerUrl: string }
+export type BrowserVersion = { Browser?: string; 'Protocol-Version'?: string; webSocketDebuggerUrl: string }
+
+export async function fetchJson(base: string, p: string): Promise<any> {
+  const r = await fetch(`${base}${p}`)
+  if (!r.ok) throw new Error(`HTTP error! status: ${r.status}`)
+  const text = await r.text()
+  try { return JSON.parse(text) } catch (parseError: any) { throw new Error(`Invalid JSON response: ${parseError.message}`) }
+}
+
+export async function listTargets(base: string): Promise<CdpTarget[]> {
+  const list = await fetchJson(base, '/json/list')
+  return Array.isArray(list) ? list.filter((x: any) => x && typeof x.url === 'string') : []
+}
+
+export async function getBrowserVersion(base: string): Promise<BrowserVersion> {
+  const v = await fetchJson(base, '/json/version')
+  if (!v || typeof v.webSocketDebuggerUrl !== 'string') throw new Error(`no browser webSocketDebuggerUrl at ${base}/json/version`)
+  return v
+}
+
+export type TargetSelector = { id?: string; url?: string; title?: string; recent?: boolean; newTab?: boolean }
+export type SelectTargetOptions = { openUrl?: string; create?: boolean }
+
+export const DEFAULT_TARGET_URL = 'chat.deepseek.com'
+const ACTIVITY_TIMEOUT_MS = 3000
+
+export function urlMatcher(pattern: string): (url: string) => boolean {
+  const m = pattern.match(/^\/(.+)\/([a-z]*)$/)
+  if (m) {
+    const re = new RegExp(m[1], m[2])
+    return url => re.test(url)
+  }
+  if (/[*?]/.test(pattern)) {
+    const re = new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`)
+    return url => re.test(url)
+  }
+  return url => url.includes(pattern)
+}
+
+export function matchTargets(list: CdpTarget[], selector: TargetSelector): CdpTarget[] {
+  const byUrl = selector.url ? urlMatcher(selector.url) : null
+  const title = selector.title ? selector.title.toLowerCase() : ''
+  return list.filter(t => {
+    if (t.type !== 'page') return false
+    if (selector.id) return t.id === selector.id
+    if (byUrl && !byUrl(t.url)) return false
+    if (title && !(t.title || '').toLowerCase().includes(title)) return false
+    return true
+  })
+}
+
+export async function targetActivity(t: CdpTarget, timeout = ACTIVITY_TIMEOUT_MS): Promise<number> {
+  try {
+    const client = await connectCdp(t.webSocketDebuggerUrl, { timeout })
+    try {
+      const r = await client.call('Runtime.evaluate', { expression: '[document.hasFocus(), document.visibilityState]', returnByValue: true })
+      const [focused, state] = r?.result?.result?.value || []
+      return (focused ? 2 : 0) + (state === 'visible' ? 1 : 0)
+    } finally {
+      client.close()
+    }
+  } catch {
+    return -1
+  }
+}
+
+export async function rankByActivity(list: CdpTarget[]): Promise<CdpTarget[]> {
+  const scored = await Promise.all(list.map(async (t, i) => ({ t, i, score: await targetActivity(t) })))
+  return scored.sort((a, b) => b.score - a.score || a.i - b.i).map(x => x.t)
+}
+
+export async function openTarget(base: string, url: string): Promise<CdpTarget> {
+  const endpoint = `${base}/json/new?${encodeURIComponent(url)}`
+  let r = await fetch(endpoint, { method: 'PUT' })
+  if (r.status === 405) r = await fetch(endpoint)
+  if (!r.ok) throw new Error(`Failed to create new tab: ${r.status}`)
+  const text = await r.text()
+  try { return JSON.parse(text) as CdpTarget } catch (parseError: any) { throw new Error(`Invalid JSON response: ${parseError.message}`) }
+}
+
+export async function selectTarget(base: string, selector: TargetSelector, options: SelectTargetOptions = {}): Promise<CdpTarget | null> {
+  const openUrl = options.openUrl || `https://${DEFAULT_TARGET_URL}`
+  if (selector.newTab) return await openTarget(base, openUrl)
+  let matches = matchTargets(await listTargets(base), selector)
+  if (selector.recent && matches.length > 1) matches = await rankByActivity(matches)
+  if (matches.length) return matches[0]
+  if (selector.id) throw new Error(`未找到目标标签页: ${selector.id}`)
+  if (options.create === false) return null
+  return await openTarget(base, openUrl)
+}
+
+export function targetSelectorFromArgs(argv: string[] = process.argv.slice(2)): TargetSelector {
+  return {
+    id: argValue(argv, 'target-id', process.env.CDP_TARGET_ID),
+    url: argValue(argv, 'target-url', process.env.CDP_TARGET_URL || DEFAULT_TARGET_URL),
+    title: argValue(argv, 'target-title', process.env.CDP_TARGET_TITLE),
+    recent: hasFlag(argv, 'target-recent') || process.env.CDP_TARGET_RECENT === '1',
+    newTab: hasFlag(argv, 'new-tab') || process.env.CDP_NEW_TAB === '1'
+  }
+}
@@ -0,0 +1,174 @@
+import fs from 'fs'
+import path from 'path'
+import { DialogueTurn } from './dialogue.js'
+
+export type ConversationRole = 'user' | 'assistant' | 'system'
+export type ConversationTurn = { order: number; role: ConversationRole; content: string; reasoning?: string; code?: Array<{ language: string; code: string }> }
+export type Conversation = { $schema?: string; version: 1; source?: string; model?: string; extractedAt?: string; turns: ConversationTurn[] }
+export type RepairResult = { turns: ConversationTurn[]; repaired: boolean; errors: string[] }
+
+export const CONVERSATION_SCHEMA_FILE = 'conversation.schema.json'
+
+const TURN_SCHEMA = {
+  type: 'object',
+  required: ['order', 'role', 'content'],
+  properties: {
+    order: { type: 'integer', minimum: 1 },
+    role: { enum: ['user', 'assistant', 'system'] },
+    content: { type: 'string', minLength: 1 },
+    reasoning: { type: 'string' },
+    code: {
+      type: 'array',
+      items: { type: 'object', required: ['language', 'code'], properties: { language: { type: 'string' }, code: { type: 'string' } }, additionalProperties: false }
+    }
+  },
+  additionalProperties: false
+}
+
+export const TURNS_SCHEMA = {
+  type: 'object',
+  required: ['turns'],
+  properties: { turns: { type: 'array', items: TURN_SCHEMA } },
+  additionalProperties: false
+}
+
+export const CONVERSATION_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: CONVERSATION_SCHEMA_FILE,
+  title: 'Conversation',
+  type: 'object',
+  required: ['version', 'turns'],
+  properties: {
+    $schema: { type: 'string' },
+    version: { const: 1 },
+    source: { type: 'string' },
+    model: { type: 'string' },
+    extractedAt: { type: 'string' },
+    turns: { type: 'array', minItems: 1, items: TURN_SCHEMA }
+  },
+  additionalProperties: false
+}
+
+function typeOf(v: any): string {
+  if (Array.isArray(v)) return 'array'
+  if (v === null) return 'null'
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number'
+  return typeof v
+}
+
+export function validateSchema(schema: any, value: any, at = '$', errors: string[] = []): string[] {
+  if ('const' in schema && value !== schema.const) errors.push(`${at}: 应为 ${JSON.stringify(schema.const)}`)
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: 应为 ${schema.enum.join(' / ')} 之一`)
+  if (schema.type) {
+    const t = typeOf(value)
+    if (t !== schema.type && !(schema.type === 'number' && t === 'integer')) { errors.push(`${at}: 应为 ${schema.type}，实际为 ${t}`); return errors }
+  }
+  if (typeof value === 'string' && typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${at}: 不能为空`)
+  if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${at}: 不能小于 ${schema.minimum}`)
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${at}: 至少需要 ${schema.minItems} 项`)
+    if (schema.items) value.forEach((v, i) => validateSchema(schema.items, v, `${at}[${i}]`, errors))
+  } else if (value && typeof value === 'object') {
+    for (const k of schema.required || []) if (!(k in value)) errors.push(`${at}.${k}: 缺少必填字段`)
+    for (const [k, v] of Object.entries(value)) {
+      const sub = schema.properties?.[k]
+      if (sub) validateSchema(sub, v, `${at}.${k}`, errors)
+      else if (schema.additionalProperties === false) errors.push(`${at}.${k}: 不允许的字段`)
+    }
+  }
+  return errors
+}
+
+export function validateConversation(conv: any): string[] {
+  const errors = validateSchema(CONVERSATION_SCHEMA, conv)
+  if (!errors.length) {
+    conv.turns.forEach((t: ConversationTurn, i: number) => { if (t.order !== i + 1) errors.push(`$.turns[${i}].order: 应为 ${i + 1} (顺序需从1连续递增)`) })
+  }
+  return errors
+}
+
+const ROLE_ALIASES: Record<string, ConversationRole> = {
+  user: 'user', human: 'user', question: 'user', '用户': 'user', '提问': 'user', '问': 'user',
+  assistant: 'assistant', ai: 'assistant', bot: 'assistant', model: 'assistant', answer: 'assistant', deepseek: 'assistant', '回答': 'assistant', '答': 'assistant', '助手': 'assistant',
+  system: 'system', '系统': 'system'
+}
+
+function jsonText(raw: string): string {
+  const fenced = /```(?:json)?\s*\n([\s\S]*?)\n?```/i.exec(raw)
+  const text = fenced ? fenced[1] : raw
+  const start = text.search(/[[{]/)
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'))
+  return start >= 0 && end > start ? text.slice(start, end + 1) : text
+}
+
+function parseLoose(raw: string): { value: any; repaired: boolean } {
+  const text = jsonText(raw)
+  try { return { value: JSON.parse(text), repaired: text !== raw.trim() } } catch {}
+  const fixed = text.replace(/,\s*([}\]])/g, '$1').replace(/[“”]/g, '"')
+  return { value: JSON.parse(fixed), repaired: true }
+}
+
+export function repairTurns(raw: string): RepairResult {
+  let parsed: { value: any; repaired: boolean }
+  try { parsed = parseLoose(raw) } catch (e: any) { return { turns: [], repaired: false, errors: [`JSON解析失败: ${e?.message || String(e)}`] } }
+  let repaired = parsed.repaired
+  let list = parsed.value
+  if (Array.isArray(list)) repaired = true
+  else {
+    const box = list?.conversation || list
+    list = box?.turns || box?.dialogue || box?.messages
+    if (list !== parsed.value?.turns) repaired = true
+  }
+  if (!Array.isArray(list)) return { turns: [], repaired, errors: ['$.turns: 未找到对话数组'] }
+  const turns = [] as ConversationTurn[]
+  const dropped = [] as number[]
+  list.forEach((t: any, i: number) => {
+    const roleRaw = String(t?.role ?? t?.speaker ?? t?.author ?? '').trim()
+    const role = ROLE_ALIASES[roleRaw.toLowerCase()] || ROLE_ALIASES[roleRaw]
+    const contentRaw = t?.content ?? t?.text ?? t?.message
+    const content = typeof contentRaw === 'string' ? contentRaw.trim() : ''
+    if (!role || !content) { dropped.push(i); return }
+    if (role !== t?.role || content !== t?.content) repaired = true
+    const turn: ConversationTurn = { order: typeof t.order === 'number' ? t.order : i + 1, role, content }
+    if (typeof t.reasoning === 'string' && t.reasoning.trim()) turn.reasoning = t.reasoning.trim()
+    if (Array.isArray(t.code)) turn.code = t.code.filter((c: any) => typeof c?.code === 'string').map((c: any) => ({ language: String(c.language || ''), code: c.code }))
+    turns.push(turn)
+  })
+  turns.sort((a, b) => a.order - b.order)
+  turns.forEach((t, i) => { if (t.order !== i + 1) { t.order = i + 1; repaired = true } })
+  const errors = validateSchema(TURNS_SCHEMA, { turns })
+  for (const i of dropped) errors.push(`$.turns[${i}]: 缺少有效的 role 或 content`)
+  if (!turns.length) errors.push('$.turns: 没有有效的对话轮次')
+  return { turns, repaired, errors }
+}
+
+export function fromDialogueTurns(turns: DialogueTurn[]): ConversationTurn[] {
+  return turns.filter(t => t.text).map((t, i) => {
+    const turn: ConversationTurn = { order: i + 1, role: t.role, content: t.text }
+    if (t.reasoning) turn.reasoning = t.reasoning
+    if (t.code.length) turn.code = t.code
+    return turn
+  })
+}
+
+export function toConversation(turns: ConversationTurn[], meta: { source?: string; model?: string } = {}): Conversation {
+  const conv: Conversation = { $schema: `./${CONVERSATION_SCHEMA_FILE}`, version: 1, extractedAt: new Date().toISOString(), turns: turns.map((t, i) => ({ ...t, order: i + 1 })) }
+  if (meta.source) conv.source = meta.source
+  if (meta.model) conv.model = meta.model
+  return conv
+}
+
+export function formatConversation(turns: ConversationTurn[]): string {
+  const label: Record<ConversationRole, string> = { user: '用户', assistant: 'AI', system: '系统' }
+  return turns.map(t => `${t.reasoning ? `AI思考: ${t.reasoning}\n` : ''}${label[t.role]}: ${t.content}`).join('\n\n')
+}
+
+export function writeConversation(filePath: string, conv: Conversation): string {
+  const errors = validateConversation(conv)
+  if (errors.length) throw new Error(`对话JSON不符合schema: ${errors.slice(0, 5).join('; ')}`)
+  const abs = path.resolve(filePath)
+  try { fs.mkdirSync(path.dirname(abs), { recursive: true }) } catch {}
+  fs.writeFileSync(abs, JSON.stringify(conv, null, 2), 'utf8')
+  fs.writeFileSync(path.join(path.dirname(abs), CONVERSATION_SCHEMA_FILE), JSON.stringify(CONVERSATION_SCHEMA, null, 2), 'utf8')
+  return abs
+}
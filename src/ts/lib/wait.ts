@@ -0,0 +1,166 @@
+import { CdpConnection } from './cdp.js'
+import type { Driver } from './driver.js'
+
+export type LifecycleName = 'DOMContentLoaded' | 'load' | 'networkAlmostIdle' | 'networkIdle' | string
+export type SelectorWaitOptions = { timeout?: number; visible?: boolean; stableMs?: number; pollMs?: number }
+export type ReadyOptions = SelectorWaitOptions & { selector?: string | null; idleMs?: number; maxInflight?: number; networkIdleTimeout?: number }
+export type ReadyReport = { ok: boolean; load: boolean; networkIdle: boolean; selector: boolean; elapsed: number }
+
+const READY_TIMEOUT_MS = parseInt(process.env.PAGE_READY_TIMEOUT_MS || '20000', 10)
+const NETWORK_IDLE_MS = parseInt(process.env.NETWORK_IDLE_MS || '500', 10)
+const NETWORK_IDLE_TIMEOUT_MS = parseInt(process.env.NETWORK_IDLE_TIMEOUT_MS || '10000', 10)
+const SELECTOR_STABLE_MS = parseInt(process.env.SELECTOR_STABLE_MS || '300', 10)
+const LONG_LIVED_TYPES = new Set(['EventSource', 'WebSocket'])
+
+export const DEFAULT_READY_SELECTOR = process.env.PAGE_READY_SELECTOR || 'textarea, [contenteditable="true"], [role="textbox"]'
+
+const sleep = (ms: number) => new Promise(res => setTimeout(res, ms))
+
+export class NetworkIdleTracker {
+  inflight = new Set<string>()
+  lastChange = Date.now()
+  private offs: Array<() => void> = []
+
+  constructor(conn: CdpConnection) {
+    const done = (p: any) => { if (this.inflight.delete(p?.requestId)) this.lastChange = Date.now() }
+    this.offs.push(
+      conn.on('Network.requestWillBeSent', p => {
+        if (!p?.requestId || LONG_LIVED_TYPES.has(p.type)) return
+        this.inflight.add(p.requestId)
+        this.lastChange = Date.now()
+      }),
+      conn.on('Network.loadingFinished', done),
+      conn.on('Network.loadingFailed', done),
+      conn.on('Network.responseReceived', p => { if (LONG_LIVED_TYPES.has(p?.type)) done(p) }),
+      conn.on('Page.frameNavigated', p => { if (p?.frame && !p.frame.parentId) { this.inflight.clear(); this.lastChange = Date.now() } })
+    )
+  }
+
+  static async start(conn: CdpConnection): Promise<NetworkIdleTracker> {
+    const tracker = new NetworkIdleTracker(conn)
+    await conn.call('Network.enable', {})
+    return tracker
+  }
+
+  async waitForIdle(idleMs = NETWORK_IDLE_MS, timeout = NETWORK_IDLE_TIMEOUT_MS, maxInflight = 0): Promise<boolean> {
+    const deadline = Date.now() + timeout
+    for (;;) {
+      if (this.inflight.size <= maxInflight && Date.now() - this.lastChange >= idleMs) return true
+      if (Date.now() >= deadline) return false
+      await sleep(Math.min(50, Math.max(1, deadline - Date.now())))
+    }
+  }
+
+  dispose(): void {
+    for (const off of this.offs.splice(0)) off()
+  }
+}
+
+async function readyState(conn: CdpConnection): Promise<string> {
+  const r = await conn.call('Runtime.evaluate', { expression: 'document.readyState', returnByValue: true }, { idempotent: true })
+  return r?.result?.result?.value || ''
+}
+
+export async function waitForLifecycle(conn: CdpConnection, name: LifecycleName, timeout = READY_TIMEOUT_MS): Promise<void> {
+  await conn.call('Page.enable', {})
+  await conn.call('Page.setLifecycleEventsEnabled', { enabled: true }, { idempotent: true })
+  const ft = await conn.call('Page.getFrameTree', {})
+  const mainFrameId = ft?.result?.frameTree?.frame?.id
+  let fired = false
+  const off = conn.on('Page.lifecycleEvent', p => { if (p?.name === name && (!mainFrameId || p.frameId === mainFrameId)) fired = true })
+  try {
+    const state = await readyState(conn)
+    if (fired) return
+    if (name === 'load' && state === 'complete') return
+    if (name === 'DOMContentLoaded' && (state === 'interactive' || state === 'complete')) return
+    await conn.waitForEvent('Page.lifecycleEvent', p => p?.name === name && (!mainFrameId || p.frameId === mainFrameId), timeout)
+  } finally {
+    off()
+  }
+}
+
+export async function waitForLoad(conn: CdpConnection, timeout?: number): Promise<void> {
+  await waitForLifecycle(conn, 'load', timeout)
+}
+
+export async function waitForNetworkIdle(conn: CdpConnection, options: { idleMs?: number; timeout?: number; maxInflight?: number } = {}): Promise<boolean> {
+  const tracker = await NetworkIdleTracker.start(conn)
+  try {
+    return await tracker.waitForIdle(options.idleMs, options.timeout, options.maxInflight)
+  } finally {
+    tracker.dispose()
+  }
+}
+
+export function selectorProbe(selector: string): string {
+  return `(() => {
+    const el = document.querySelector(${JSON.stringify(selector)})
+    if (!el) return { found:false }
+    const r = el.getBoundingClientRect()
+    const st = getComputedStyle(el)
+    const visible = r.width > 0 && r.height > 0 && st.visibility !== 'hidden' && st.display !== 'none' && parseFloat(st.opacity || '1') > 0
+    return { found:true, visible, rect: [Math.round(r.left), Math.round(r.top), Math.round(r.width), Math.round(r.height)].join(',') }
+  })()`
+}
+
+export async function pollSelector(probe: () => Promise<any>, options: SelectorWaitOptions = {}): Promise<boolean> {
+  const timeout = typeof options.timeout === 'number' ? options.timeout : READY_TIMEOUT_MS
+  const visible = options.visible !== false
+  const stableMs = typeof options.stableMs === 'number' ? options.stableMs : SELECTOR_STABLE_MS
+  const pollMs = options.pollMs || 100
+  const deadline = Date.now() + timeout
+  let lastRect = ''
+  let stableSince = 0
+  for (;;) {
+    let v: any = null
+    try { v = await probe() } catch {}
+    if (v && v.found && (!visible || v.visible)) {
+      if (v.rect !== lastRect) { lastRect = v.rect; stableSince = Date.now() }
+      if (Date.now() - stableSince >= stableMs) return true
+    } else {
+      lastRect = ''
+    }
+    if (Date.now() >= deadline) return false
+    await sleep(Math.min(pollMs, Math.max(1, deadline - Date.now())))
+  }
+}
+
+export async function waitForSelector(conn: CdpConnection, selector: string, options: SelectorWaitOptions = {}): Promise<boolean> {
+  return await pollSelector(async () => {
+    const r = await conn.call('Runtime.evaluate', { expression: selectorProbe(selector), returnByValue: true }, { idempotent: true })
+    return r?.result?.result?.value
+  }, options)
+}
+
+export async function waitForPageReady(conn: CdpConnection, options: ReadyOptions = {}): Promise<ReadyReport> {
+  const start = Date.now()
+  const timeout = typeof options.timeout === 'number' ? options.timeout : READY_TIMEOUT_MS
+  const remaining = () => Math.max(0, start + timeout - Date.now())
+  const tracker = await NetworkIdleTracker.start(conn)
+  try {
+    const load = await waitForLifecycle(conn, 'load', remaining()).then(() => true, () => false)
+    const idleTimeout = Math.min(remaining(), typeof options.networkIdleTimeout === 'number' ? options.networkIdleTimeout : NETWORK_IDLE_TIMEOUT_MS)
+    const networkIdle = await tracker.waitForIdle(options.idleMs, idleTimeout, options.maxInflight)
+    const selector = options.selector === undefined ? DEFAULT_READY_SELECTOR : options.selector
+    const found = selector ? await waitForSelector(conn, selector, { ...options, timeout: remaining() }) : true
+    return { ok: load && found, load, networkIdle, selector: found, elapsed: Date.now() - start }
+  } finally {
+    tracker.dispose()
+  }
+}
+
+export async function waitForDriverReady(driver: Driver, options: ReadyOptions = {}): Promise<ReadyReport> {
+  if (driver.name === 'cdp') return await waitForPageReady(await driver.cdp(), options)
+  const start = Date.now()
+  const timeout = typeof options.timeout === 'number' ? options.timeout : READY_TIMEOUT_MS
+  const remaining = () => Math.max(0, start + timeout - Date.now())
+  let load = false
+  for (;;) {
+    load = await driver.evaluate<string>('() => document.readyState').then(s => s === 'complete', () => false)
+    if (load || !remaining()) break
+    await sleep(Math.min(200, remaining()))
+  }
+  const selector = options.selector === undefined ? DEFAULT_READY_SELECTOR : options.selector
+  const found = selector ? await pollSelector(() => driver.evaluate(`() => ${selectorProbe(selector)}`), { ...options, timeout: remaining() }) : true
+  return { ok: load && found, load, networkIdle: false, selector: found, elapsed: Date.now() - start }
+}
@@ -1,9 +1,11 @@
 import fs from 'fs'
 import path from 'path'
 import readline from 'readline'
+import { ensureChrome, LaunchedChrome } from './lib/launcher.js'
+import { callMcpTool, McpInstance, startMcp, stopMcp } from './lib/mcp.js'
 
-const MCP_SERVER_CONFIG = { command: 'npx', args: ['-y', 'chrome-devtools-mcp@latest', '--browserUrl=http://127.0.0.1:9222'], env: { ...process.env, NODE_ENV: 'production' } }
-const TIMEOUT_CONFIG = { MCP_CONNECTION_TIMEOUT: 30000, TOOL_CALL_TIMEOUT: 60000, CLEANUP_TIMEOUT: 5000 }
+const BASE = process.env.CHROME_MCP_URL || 'http://127.0.0.1:9222'
+const TIMEOUT_CONFIG = { TOOL_CALL_TIMEOUT: 60000, CLEANUP_TIMEOUT: 5000 }
 const RETRY_CONFIG = { MAX_RETRIES: 3, RETRY_DELAY: 2000, BACKOFF_MULTIPLIER: 2 }
 const FILE_NAME_CONFIG = { MAX_BASE_NAME_LENGTH: 100, ALLOWED_FILENAME_CHARS: /[^a-zA-Z0-9-_]/g, ALLOWED_EXTENSION_CHARS: /[^a-zA-Z0-9]/g }
 
@@ -74,29 +76,8 @@ async function executeWithRetry<T>(operation: () => Promise<T>, operationName: s
   throw lastError
 }
 
-async function startMcpClient(): Promise<{ client: any; transport: any }> {
-  const mod = (await import('@modelcontextprotocol/sdk/client/index.js')) as any
-  const mod2 = (await import('@modelcontextprotocol/sdk/client/stdio.js')) as any
-  const { Client } = mod
-  const { StdioClientTransport } = mod2
-  const transport = new StdioClientTransport(MCP_SERVER_CONFIG)
-  const client = new Client({ name: 'chrome-mcp-snapshot-client', version: '1.0.0' }, { capabilities: {} })
-  const connectPromise = client.connect(transport)
-  const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error('MCP connection timeout')), TIMEOUT_CONFIG.MCP_CONNECTION_TIMEOUT))
-  await Promise.race([connectPromise, timeoutPromise])
-  return { client, transport }
-}
-
-async function stopMcpClient(mcpInstance: { client?: any; transport?: any }): Promise<void> {
-  if (mcpInstance?.client) { await mcpInstance.client.close() }
-  if (mcpInstance?.transport) { await mcpInstance.transport.close() }
-}
-
-async function executeSnapshotTool(client: any, toolName: string, toolArgs: any): Promise<any> {
-  const toolCallPromise = client.callTool({ name: toolName, arguments: toolArgs })
-  const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error(`Tool execution timeout after ${TIMEOUT_CONFIG.TOOL_CALL_TIMEOUT}ms`)), TIMEOUT_CONFIG.TOOL_CALL_TIMEOUT))
-  const result = await Promise.race([toolCallPromise, timeoutPromise])
-  return result
+async function executeSnapshotTool(mcp: McpInstance, toolName: string, toolArgs: any): Promise<any> {
+  return await callMcpTool(mcp, toolName, toolArgs, TIMEOUT_CONFIG.TOOL_CALL_TIMEOUT)
 }
 
 function showHelp(): void {
@@ -125,9 +106,11 @@ function parseCommandLineArguments(): ParsedArgs {
 
 async function capturePageSnapshot(): Promise<void> {
   const args = parseCommandLineArguments()
-  let mcp: { client: any; transport: any } | null = null
+  let mcp: McpInstance | null = null
+  let chrome: LaunchedChrome | null = null
   try {
-    mcp = await startMcpClient()
+    chrome = await ensureChrome(BASE)
+    mcp = await startMcp(chrome.base, 'chrome-mcp-snapshot-client')
     const { client } = mcp
     let tools: any
     try { tools = await client.listTools() } catch (error: any) { throw error }
@@ -147,9 +130,9 @@ async function capturePageSnapshot(): Promise<void> {
     }
     if (!selectedTool) return
     let snapshotResult: any = null
-    if (selectedTool === 'take_screenshot') { snapshotResult = await executeSnapshotTool(client, 'take_screenshot', { format: 'png', fullPage: true }) }
-    else if (selectedTool === 'take_snapshot') { snapshotResult = await executeSnapshotTool(client, 'take_snapshot', { verbose: true }) }
-    else if (selectedTool === 'evaluate_script') { snapshotResult = await executeSnapshotTool(client, 'evaluate_script', { function: `() => { return { url: window.location.href, title: document.title, timestamp: new Date().toISOString(), html: document.documentElement.outerHTML, viewport: { width: window.innerWidth, height: window.innerHeight } } }` }) }
+    if (selectedTool === 'take_screenshot') { snapshotResult = await executeSnapshotTool(mcp, 'take_screenshot', { format: 'png', fullPage: true }) }
+    else if (selectedTool === 'take_snapshot') { snapshotResult = await executeSnapshotTool(mcp, 'take_snapshot', { verbose: true }) }
+    else if (selectedTool === 'evaluate_script') { snapshotResult = await executeSnapshotTool(mcp, 'evaluate_script', { function: `() => { return { url: window.location.href, title: document.title, timestamp: new Date().toISOString(), html: document.documentElement.outerHTML, viewport: { width: window.innerWidth, height: window.innerHeight } } }` }) }
     if (snapshotResult) {
       const raw = getTextFromContentParts(snapshotResult?.content)
       const snapshotData = extractSnapshotData(raw)
@@ -164,7 +147,8 @@ async function capturePageSnapshot(): Promise<void> {
       } else { fs.writeFileSync(outPath, snapshotData || raw, 'utf8') }
     }
   } catch (error: any) { throw error } finally {
-    if (mcp) { try { await stopMcpClient(mcp) } catch {} }
+    if (mcp) { try { await stopMcp(mcp) } catch {} }
+    if (chrome) { try { await chrome.close() } catch {} }
     setTimeout(() => { process.exit(0) }, 100)
   }
 }
@@ -176,4 +160,4 @@ process.on('unhandledRejection', (reason: any, promise: any) => { console.error(
 
 capturePageSnapshot().catch((error: any) => { console.error('Failed to capture snapshot:', error); process.exit(1) })
 
-export { getTextFromContentParts, extractSnapshotData, generateSafeFilename, validateOutputPath, startMcpClient, stopMcpClient, executeSnapshotTool, capturePageSnapshot }
\ No newline at end of file
+export { getTextFromContentParts, extractSnapshotData, generateSafeFilename, validateOutputPath, executeSnapshotTool, capturePageSnapshot }
\ No newline at end of file
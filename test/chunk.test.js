@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { chunkHtml, mergeTurns } from '../dist/lib/chunk.js'
+
+const message = i => `<div class="m"><p>Message ${i}: ${'lorem ipsum dolor sit amet '.repeat(3)}</p></div>`
+const page = n => `<main>${Array.from({ length: n }, (_, i) => message(i)).join('')}</main>`
+const stripTags = html => html.replace(/<[^>]+>/g, '')
+const count = (s, sub) => s.split(sub).length - 1
+
+test('chunkHtml returns short input as a single chunk', () => {
+  const html = page(2)
+  assert.deepEqual(chunkHtml(html, { maxChars: 2000 }), [{ index: 0, html, chars: html.length, units: 1, overlapUnits: 0 }])
+})
+
+test('chunkHtml splits on element boundaries and keeps every chunk balanced', () => {
+  const chunks = chunkHtml(page(20), { maxChars: 600 })
+  assert.ok(chunks.length > 1)
+  for (const c of chunks) {
+    assert.ok(c.chars <= 600, `chunk ${c.index} has ${c.chars} chars`)
+    assert.ok(c.html.startsWith('<main>') && c.html.endsWith('</main>'))
+    assert.equal(count(c.html, '<div class="m">'), count(c.html, '</div>'))
+    assert.equal(count(c.html, '<p>'), count(c.html, '</p>'))
+  }
+  const seen = chunks.flatMap(c => [...c.html.matchAll(/Message (\d+):/g)].map(m => Number(m[1])))
+  assert.deepEqual(seen, Array.from({ length: 20 }, (_, i) => i))
+})
+
+test('chunkHtml splits an oversized single element inside its own tags', () => {
+  const text = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} is here.`).join(' ')
+  const chunks = chunkHtml(`<article><p class="long">${text}</p></article>`, { maxChars: 400 })
+  assert.ok(chunks.length > 1)
+  for (const c of chunks) {
+    assert.ok(c.html.startsWith('<article><p class="long">') && c.html.endsWith('</p></article>'))
+    assert.ok(c.chars <= 400, `chunk ${c.index} has ${c.chars} chars`)
+  }
+  assert.equal(chunks.map(c => stripTags(c.html)).join(''), text)
+})
+
+test('chunkHtml repeats trailing elements of the previous chunk as overlap', () => {
+  const chunks = chunkHtml(page(20), { maxChars: 800, overlap: 200 })
+  assert.ok(chunks.length > 1)
+  assert.equal(chunks[0].overlapUnits, 0)
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].overlapUnits > 0)
+    const first = /Message (\d+):/.exec(chunks[i].html)[0]
+    assert.ok(chunks[i - 1].html.includes(first))
+  }
+})
+
+const turn = (order, role, content) => ({ order, role, content })
+
+test('mergeTurns drops turns repeated by chunk overlap and keeps the longer copy', () => {
+  const merged = mergeTurns([
+    [turn(1, 'user', 'What is TCP?'), turn(2, 'assistant', 'TCP is a protocol.'), turn(3, 'user', 'And UDP?'), turn(4, 'assistant', 'UDP is')],
+    [turn(1, 'user', 'And UDP?'), turn(2, 'assistant', 'UDP is connectionless.'), turn(3, 'user', 'Thanks'), turn(4, 'assistant', 'You are welcome.')]
+  ])
+  assert.deepEqual(merged, [
+    turn(1, 'user', 'What is TCP?'),
+    turn(2, 'assistant', 'TCP is a protocol.'),
+    turn(3, 'user', 'And UDP?'),
+    turn(4, 'assistant', 'UDP is connectionless.'),
+    turn(5, 'user', 'Thanks'),
+    turn(6, 'assistant', 'You are welcome.')
+  ])
+})
+
+test('mergeTurns joins a user message split across chunks', () => {
+  const merged = mergeTurns([
+    [turn(1, 'user', 'Hi'), turn(2, 'assistant', 'Hello!'), turn(3, 'user', 'Please explain the difference between')],
+    [turn(1, 'user', 'difference between TCP and UDP in detail'), turn(2, 'assistant', 'Sure.')]
+  ])
+  assert.deepEqual(merged, [
+    turn(1, 'user', 'Hi'),
+    turn(2, 'assistant', 'Hello!'),
+    turn(3, 'user', 'Please explain the difference between TCP and UDP in detail'),
+    turn(4, 'assistant', 'Sure.')
+  ])
+})
+
+test('mergeTurns orders each chunk by its order field', () => {
+  const merged = mergeTurns([[turn(2, 'assistant', 'Four.'), turn(1, 'user', '2 + 2?')]])
+  assert.deepEqual(merged, [turn(1, 'user', '2 + 2?'), turn(2, 'assistant', 'Four.')])
+})
@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import { test } from 'node:test'
+import { parseDialogue } from '../dist/lib/dialogue.js'
+
+const fixture = fs.readFileSync(new URL('./fixtures/deepseek-dialogue.html', import.meta.url), 'utf8')
+
+test('parseDialogue reads a captured DeepSeek page with hashed class names', () => {
+  const r = parseDialogue(fixture)
+  assert.equal(r.ok, true)
+  assert.deepEqual(r.turns.map(({ html, ...t }) => t), [
+    { index: 0, role: 'user', text: 'How do I reverse a list in Python?', code: [] },
+    {
+      index: 1,
+      role: 'assistant',
+      text: 'Use slicing to get a reversed copy:\n\n```python\nitems[::-1]\n```\n\nOr reverse it in place:\n\n1. items.reverse() returns None\n2. It changes the original list',
+      code: [{ language: 'python', code: 'items[::-1]' }],
+      reasoning: 'The user wants to reverse a list. Slicing and list.reverse() both work.'
+    },
+    { index: 2, role: 'user', text: 'Thanks! What about a tuple?', code: [] },
+    { index: 3, role: 'assistant', text: 'Tuples are immutable, so use tuple(reversed(t)) or t[::-1].', code: [] }
+  ])
+})
+
+test('parseDialogue reports pages without messages', () => {
+  assert.deepEqual(parseDialogue('<main><p>登录</p></main>'), { ok: false, turns: [], reason: '未匹配到任何消息节点' })
+  const r = parseDialogue('<div class="fbb737a4">Hello?</div>')
+  assert.equal(r.ok, false)
+  assert.equal(r.reason, '未识别到AI回答')
+})
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { CONVERSATION_SCHEMA, repairTurns, TURNS_SCHEMA, validateConversation, validateSchema } from '../dist/lib/transcript.js'
+
+test('repairTurns accepts valid output unchanged', () => {
+  const r = repairTurns('{"turns":[{"order":1,"role":"user","content":"Hi"},{"order":2,"role":"assistant","content":"Hello"}]}')
+  assert.deepEqual(r, { turns: [{ order: 1, role: 'user', content: 'Hi' }, { order: 2, role: 'assistant', content: 'Hello' }], repaired: false, errors: [] })
+})
+
+test('repairTurns unwraps fenced JSON surrounded by prose', () => {
+  const r = repairTurns('Here is the result:\n```json\n{"turns":[{"order":1,"role":"user","content":"Hi"}]}\n```\nDone.')
+  assert.deepEqual(r.turns, [{ order: 1, role: 'user', content: 'Hi' }])
+  assert.equal(r.repaired, true)
+  assert.deepEqual(r.errors, [])
+})
+
+test('repairTurns drops trailing commas and smart quotes', () => {
+  const r = repairTurns('{"turns":[{"order":1,"role":"user","content":“Hi”,},],}')
+  assert.deepEqual(r.turns, [{ order: 1, role: 'user', content: 'Hi' }])
+  assert.equal(r.repaired, true)
+  assert.deepEqual(r.errors, [])
+})
+
+test('repairTurns maps role aliases and alternative keys', () => {
+  const r = repairTurns('[{"speaker":"用户","text":"你好"},{"role":"AI","message":"你好！"},{"author":"DeepSeek","content":"还有问题吗？"}]')
+  assert.deepEqual(r.turns, [
+    { order: 1, role: 'user', content: '你好' },
+    { order: 2, role: 'assistant', content: '你好！' },
+    { order: 3, role: 'assistant', content: '还有问题吗？' }
+  ])
+  assert.equal(r.repaired, true)
+  assert.deepEqual(r.errors, [])
+})
+
+test('repairTurns sorts out-of-order turns and renumbers gaps', () => {
+  const r = repairTurns('{"turns":[{"order":5,"role":"assistant","content":"B"},{"order":2,"role":"user","content":"A"},{"order":9,"role":"user","content":"C"}]}')
+  assert.deepEqual(r.turns.map(t => [t.order, t.role, t.content]), [[1, 'user', 'A'], [2, 'assistant', 'B'], [3, 'user', 'C']])
+  assert.equal(r.repaired, true)
+  assert.deepEqual(r.errors, [])
+})
+
+test('repairTurns reports turns it cannot repair', () => {
+  const r = repairTurns('{"turns":[{"order":1,"role":"narrator","content":"x"},{"order":2,"role":"user","content":"  "}]}')
+  assert.deepEqual(r.turns, [])
+  assert.deepEqual(r.errors, ['$.turns[0]: 缺少有效的 role 或 content', '$.turns[1]: 缺少有效的 role 或 content', '$.turns: 没有有效的对话轮次'])
+  assert.match(repairTurns('not json at all').errors[0], /^JSON解析失败/)
+  assert.deepEqual(repairTurns('{"answer":"none"}').errors, ['$.turns: 未找到对话数组'])
+})
+
+test('validateSchema reports type, enum, required and extra-field errors', () => {
+  assert.deepEqual(validateSchema(TURNS_SCHEMA, { turns: [{ order: 1, role: 'user', content: 'Hi' }] }), [])
+  assert.deepEqual(validateSchema(TURNS_SCHEMA, { turns: [{ order: 0, role: 'bot', content: '', extra: 1 }, { role: 'user', content: 'x' }] }), [
+    '$.turns[0].order: 不能小于 1',
+    '$.turns[0].role: 应为 user / assistant / system 之一',
+    '$.turns[0].content: 不能为空',
+    '$.turns[0].extra: 不允许的字段',
+    '$.turns[1].order: 缺少必填字段'
+  ])
+  assert.deepEqual(validateSchema(TURNS_SCHEMA, { turns: {} }), ['$.turns: 应为 array，实际为 object'])
+  assert.deepEqual(validateSchema(CONVERSATION_SCHEMA, { version: 2, turns: [] }), ['$.version: 应为 1', '$.turns: 至少需要 1 项'])
+})
+
+test('validateConversation requires consecutive order values', () => {
+  const turns = [{ order: 1, role: 'user', content: 'A' }, { order: 3, role: 'assistant', content: 'B' }]
+  assert.deepEqual(validateConversation({ version: 1, turns }), ['$.turns[1].order: 应为 2 (顺序需从1连续递增)'])
+})